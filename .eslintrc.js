@@ -20,7 +20,7 @@ http://spdx.org/licenses/MIT
 
 exports = module.exports = {
 	parserOptions: {
-		ecmaVersion: 2017,
+		ecmaVersion: 2018,
 	},
 	env: {
 		es6: true,
@@ -0,0 +1,553 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2018 Arjun Komath <arjunkomath@gmail.com>
+Copyright (C) 2016-2018 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+/**
+ * Multipart bodies: attachments of tickets and conversations, and the other
+ * fields of the request.
+ *
+ * @module
+ */
+
+"use strict";
+
+/**
+ * Max total size (in bytes) of the attachments of a request, accepted by
+ * Freshdesk.
+ *
+ * @type {Number}
+ */
+const MAX_TOTAL_SIZE = 20 * 1024 * 1024;
+
+/**
+ * Attachment, as passed by the user:
+ *
+ * - `"/path/to/file.pdf"` - path of the file (Node only);
+ * - `Buffer`, `Uint8Array` or `ArrayBuffer` - content of the file;
+ * - Node `Readable` (e.g. `fs.createReadStream(...)`), or a web `ReadableStream`;
+ * - `Blob` or `File`;
+ * - `{ path, filename, contentType }`, or `{ content, filename, contentType }`,
+ *   where `content` is any of the above, or a text.
+ *
+ * @typedef {String|Buffer|Uint8Array|ArrayBuffer|Object|Blob} AttachmentInput
+ */
+
+/**
+ * Normalized attachment.
+ *
+ * @private
+ *
+ * @typedef  {Object}  Attachment
+ * @property {String}  source         Kind of the value: `path`, `binary`, `stream`, `webStream` or `blob`
+ * @property {*}       value          Path, content, stream or Blob
+ * @property {String}  filename       Name of the file
+ * @property {?String} contentType    MIME type, `null` to detect it by the name of the file
+ * @property {Number}  [size]         Size (in bytes), measured by {@link inspectAttachments}
+ */
+
+/**
+ * @private
+ *
+ * @param  {String}  path  Path of the file
+ * @return {String}        Name of the file
+ */
+function basename(path) {
+	return String(path).split(/[\\/]/).pop();
+}
+
+/**
+ * @private
+ *
+ * @param  {*}  value  Value
+ * @return {Boolean}   Whether the value is a Node `Readable`
+ */
+function isStream(value) {
+	return (
+		!!value &&
+		typeof value.pipe === "function" &&
+		typeof value.on === "function"
+	);
+}
+
+/**
+ * @private
+ *
+ * @param  {*}  value  Value
+ * @return {Boolean}   Whether the value is a web `ReadableStream`
+ */
+function isWebStream(value) {
+	return !!value && typeof value.getReader === "function";
+}
+
+/**
+ * @private
+ *
+ * @param  {*}  value  Value
+ * @return {Boolean}   Whether the value is a `Blob` (or a `File`)
+ */
+function isBlob(value) {
+	return typeof Blob !== "undefined" && value instanceof Blob;
+}
+
+/**
+ * @private
+ *
+ * @param  {*}  value  Value
+ * @return {Boolean}   Whether the value is a `Buffer`, a typed array or an `ArrayBuffer`
+ */
+function isBinary(value) {
+	return value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+}
+
+/**
+ * Recognizes the attachment.
+ *
+ * @param  {AttachmentInput}  input  Attachment, as passed by the user
+ * @param  {Number}           index  Position of the attachment in the list
+ * @return {Attachment}              Normalized attachment
+ * @throws {TypeError}               When the attachment is not supported
+ */
+function normalizeAttachment(input, index) {
+	const fallbackName = `attachment-${index + 1}`;
+
+	if (typeof input === "string" && input !== "") {
+		return {
+			source: "path",
+			value: input,
+			filename: basename(input),
+			contentType: null,
+		};
+	}
+
+	if (isBinary(input)) {
+		return {
+			source: "binary",
+			value: input,
+			filename: fallbackName,
+			contentType: null,
+		};
+	}
+
+	if (isBlob(input)) {
+		return {
+			source: "blob",
+			value: input,
+			filename: input.name || fallbackName,
+			contentType: input.type || null,
+		};
+	}
+
+	if (isStream(input) || isWebStream(input)) {
+		return {
+			source: isStream(input) ? "stream" : "webStream",
+			value: input,
+			filename: input.path ? basename(input.path) : fallbackName,
+			contentType: null,
+		};
+	}
+
+	if (input && typeof input === "object") {
+		let attachment = null;
+
+		if (typeof input.path === "string" && input.path !== "") {
+			attachment = normalizeAttachment(input.path, index);
+		} else if (typeof input.content === "string") {
+			attachment = {
+				source: "binary",
+				value: new TextEncoder().encode(input.content),
+				filename: fallbackName,
+				contentType: "text/plain",
+			};
+		} else if (input.content) {
+			attachment = normalizeAttachment(input.content, index);
+		}
+
+		if (attachment) {
+			return Object.assign(attachment, {
+				filename: input.filename || attachment.filename,
+				contentType: input.contentType || attachment.contentType,
+			});
+		}
+	}
+
+	throw new TypeError(
+		`Unsupported attachment #${
+			index + 1
+		}: expected a file path, a Buffer, a stream, a Blob, or { path | content, filename, contentType }`
+	);
+}
+
+/**
+ * @private
+ *
+ * @param  {Number}  size  Size in bytes
+ * @return {String}        Size for humans, for example `20 MB`
+ */
+function formatSize(size) {
+	if (size < 1024 * 1024) {
+		return `${Math.ceil(size / 1024)} KB`;
+	}
+
+	return `${Math.round((size / 1024 / 1024) * 10) / 10} MB`;
+}
+
+/**
+ * Joins chunks of a stream into one array.
+ *
+ * @private
+ *
+ * @param  {Array.<Uint8Array|String>}  chunks  Chunks
+ * @return {Uint8Array}                         Content
+ */
+function concatChunks(chunks) {
+	const bytes = chunks.map((chunk) =>
+		typeof chunk === "string" ? new TextEncoder().encode(chunk) : chunk
+	);
+	const content = new Uint8Array(
+		bytes.reduce((size, chunk) => size + chunk.byteLength, 0)
+	);
+
+	let offset = 0;
+	bytes.forEach((chunk) => {
+		content.set(chunk, offset);
+		offset += chunk.byteLength;
+	});
+
+	return content;
+}
+
+/**
+ * Reads the stream into memory, but no more than `limit` bytes.
+ *
+ * @private
+ *
+ * @param  {Attachment}  attachment  Attachment with a Node or web stream
+ * @param  {Number}      limit       Max size (in bytes)
+ * @return {Promise<?Uint8Array>}    Content, or `null`, when the stream is larger than the `limit`
+ */
+async function readStream(attachment, limit) {
+	const chunks = [];
+	let size = 0;
+
+	const push = (chunk) => {
+		chunks.push(chunk);
+		size += typeof chunk === "string" ? chunk.length : chunk.byteLength;
+		return size <= limit;
+	};
+
+	if (attachment.source === "webStream") {
+		const reader = attachment.value.getReader();
+		for (;;) {
+			const read = await reader.read();
+			if (read.done) {
+				break;
+			}
+			if (!push(read.value)) {
+				await reader.cancel();
+				return null;
+			}
+		}
+	} else {
+		for await (const chunk of attachment.value) {
+			if (!push(chunk)) {
+				// leaving the loop destroys the stream
+				return null;
+			}
+		}
+	}
+
+	return concatChunks(chunks);
+}
+
+/**
+ * Measures the attachment. Files are measured with `fs.stat`, other
+ * streams are read into memory (up to the `limit`), because their size is
+ * not known in advance.
+ *
+ * @private
+ *
+ * @param  {Attachment}  attachment  Attachment, updated with the `size` (and the content of the stream)
+ * @param  {Number}      limit       Max size (in bytes) of the attachment
+ * @return {Promise<?Number>}        Size, or `null`, when the stream is larger than the `limit`
+ */
+async function measureAttachment(attachment, limit) {
+	switch (attachment.source) {
+		case "path":
+			return (await require("fs").promises.stat(attachment.value)).size;
+		case "binary":
+			return attachment.value.byteLength;
+		case "blob":
+			return attachment.value.size;
+	}
+
+	const fs = attachment.source === "stream" ? require("fs") : null;
+	if (fs && attachment.value instanceof fs.ReadStream) {
+		const stream = attachment.value;
+		const size = (await fs.promises.stat(stream.path)).size;
+		const end = typeof stream.end === "number" ? stream.end + 1 : size;
+
+		return Math.max(0, Math.min(end, size) - (stream.start || 0));
+	}
+
+	const content = await readStream(attachment, limit);
+	if (!content) {
+		return null;
+	}
+
+	attachment.source = "binary";
+	attachment.value = content;
+	return content.byteLength;
+}
+
+/**
+ * Recognizes and measures the attachments of a request, before anything is
+ * sent.
+ *
+ * Problems are reported in the format of the Freshdesk validation errors:
+ * `{ field, message, code }`.
+ *
+ * @param  {Array.<AttachmentInput>}  inputs  Attachments, as passed by the user
+ * @param  {Object}   [limits]                Limits
+ * @param  {Number}   [limits.maxTotalSize=20971520]  Max total size (in bytes)
+ * @param  {?Number}  [limits.maxCount]       Max number of attachments, not limited by default
+ * @param  {Array.<String>}  [fields]         Names of the fields of the attachments, for the errors,
+ * `attachments[0]`, `attachments[1]`, etc. by default
+ * @return {Promise<{attachments: Array.<Attachment>, errors: Array.<Object>}>}
+ * Normalized attachments, and the problems (an empty array, when attachments are valid)
+ */
+async function inspectAttachments(inputs, limits, fields) {
+	limits = Object.assign({ maxTotalSize: MAX_TOTAL_SIZE }, limits);
+	const fieldOf = (i) => (fields && fields[i]) || `attachments[${i}]`;
+
+	const attachments = [];
+	const errors = [];
+
+	if (limits.maxCount && inputs.length > limits.maxCount) {
+		errors.push({
+			field: "attachments",
+			message: `Too many attachments: ${inputs.length}, at most ${limits.maxCount} are allowed`,
+			code: "invalid_value",
+		});
+	}
+
+	inputs.forEach((input, i) => {
+		try {
+			attachments.push(normalizeAttachment(input, i));
+		} catch (error) {
+			errors.push({
+				field: fieldOf(i),
+				message: error.message,
+				code: "datatype_mismatch",
+			});
+		}
+	});
+
+	if (errors.length > 0) {
+		return { attachments, errors };
+	}
+
+	let totalSize = 0;
+	for (let i = 0; i < attachments.length; i++) {
+		const attachment = attachments[i];
+
+		try {
+			attachment.size = await measureAttachment(
+				attachment,
+				Math.max(0, limits.maxTotalSize - totalSize)
+			);
+		} catch (error) {
+			errors.push({
+				field: fieldOf(i),
+				message: `Could not read the attachment "${attachment.filename}": ${error.message}`,
+				code: "invalid_value",
+			});
+			continue;
+		}
+
+		// the stream is not read to the end, when it exceeds the limit
+		totalSize +=
+			attachment.size === null
+				? limits.maxTotalSize + 1
+				: attachment.size;
+
+		if (totalSize > limits.maxTotalSize) {
+			break;
+		}
+	}
+
+	if (totalSize > limits.maxTotalSize) {
+		errors.push({
+			field: "attachments",
+			message: `Attachments exceed ${formatSize(
+				limits.maxTotalSize
+			)} in total`,
+			code: "invalid_size",
+		});
+	}
+
+	return { attachments, errors };
+}
+
+/**
+ * File, sent as the value of a multipart field (other than `attachments`),
+ * for example the `content` of an inline image.
+ *
+ * @private
+ *
+ * @param {AttachmentInput}  input  File, as passed by the user
+ */
+class FilePart {
+	constructor(input) {
+		this.input = input;
+	}
+}
+
+/**
+ * Converts the attachment to a `Blob`, for the native `FormData`.
+ *
+ * @private
+ *
+ * @param  {Attachment}  attachment  Attachment
+ * @return {Promise<Blob>}           Content of the attachment
+ */
+async function toBlob(attachment) {
+	const options = attachment.contentType
+		? { type: attachment.contentType }
+		: {};
+
+	switch (attachment.source) {
+		case "path": {
+			const fs = require("fs");
+			const content = await fs.promises.readFile(attachment.value);
+			return new Blob([content], options);
+		}
+		case "stream": {
+			const chunks = [];
+			for await (const chunk of attachment.value) {
+				chunks.push(chunk);
+			}
+			return new Blob(chunks, options);
+		}
+		case "webStream":
+			return new Blob(
+				[await new Response(attachment.value).arrayBuffer()],
+				options
+			);
+		case "blob":
+			return attachment.contentType &&
+				attachment.contentType !== attachment.value.type
+				? new Blob([attachment.value], options)
+				: attachment.value;
+		default:
+			return new Blob([attachment.value], options);
+	}
+}
+
+/**
+ * Converts the attachment to a value, accepted by the `form-data` package.
+ *
+ * @private
+ *
+ * @param  {Attachment}  attachment  Attachment
+ * @return {Promise<Buffer|Readable>}  Content of the attachment
+ */
+async function toNodeValue(attachment) {
+	switch (attachment.source) {
+		case "path":
+			return require("fs").createReadStream(attachment.value);
+		case "stream":
+			return attachment.value;
+		case "webStream":
+			return Buffer.from(
+				await new Response(attachment.value).arrayBuffer()
+			);
+		case "blob":
+			return Buffer.from(await attachment.value.arrayBuffer());
+		default:
+			return ArrayBuffer.isView(attachment.value)
+				? Buffer.from(
+						attachment.value.buffer,
+						attachment.value.byteOffset,
+						attachment.value.byteLength
+				  )
+				: Buffer.from(attachment.value);
+	}
+}
+
+/**
+ * Appends the attachments to the multipart form.
+ *
+ * @param  {FormData}            form         Form, native or of the `form-data` package
+ * @param  {String}              key          Name of the form field, for example `attachments[]`
+ * @param  {Array.<Attachment>}  attachments  Normalized attachments
+ * @param  {Boolean}             native       Whether the form is the native `FormData`
+ * @return {Promise}                          Resolved, when all attachments are appended
+ */
+async function appendAttachments(form, key, attachments, native) {
+	for (const attachment of attachments) {
+		if (native) {
+			form.append(key, await toBlob(attachment), attachment.filename);
+		} else {
+			const options = { filename: attachment.filename };
+			if (attachment.contentType) {
+				options.contentType = attachment.contentType;
+			}
+
+			form.append(key, await toNodeValue(attachment), options);
+		}
+	}
+}
+
+/**
+ * Appends the field to the multipart form, so Freshdesk receives the same
+ * data, as in the JSON body:
+ *
+ * - arrays are sent as `name[]` parts, for example `cc_emails[]`;
+ * - objects are flattened with brackets, for example `custom_fields[cf_region]`;
+ * - dates are sent in ISO 8601 format, numbers and booleans as strings;
+ * - `null` is sent as an empty value, `undefined` (and empty arrays and
+ *   objects) are skipped.
+ *
+ * @param  {FormData}  form   Form, native or of the `form-data` package
+ * @param  {String}    name   Name of the field
+ * @param  {*}         value  Value of the field
+ */
+function appendField(form, name, value) {
+	if (value === undefined) {
+		return;
+	}
+
+	if (Array.isArray(value)) {
+		value.forEach((item) => appendField(form, `${name}[]`, item));
+	} else if (value instanceof Date) {
+		form.append(name, value.toISOString());
+	} else if (value !== null && typeof value === "object") {
+		Object.keys(value).forEach((key) =>
+			appendField(form, `${name}[${key}]`, value[key])
+		);
+	} else {
+		form.append(name, value === null ? "" : String(value));
+	}
+}
+
+module.exports.MAX_TOTAL_SIZE = MAX_TOTAL_SIZE;
+module.exports.FilePart = FilePart;
+module.exports.normalizeAttachment = normalizeAttachment;
+module.exports.inspectAttachments = inspectAttachments;
+module.exports.appendAttachments = appendAttachments;
+module.exports.appendField = appendField;
@@ -0,0 +1,131 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2018 Arjun Komath <arjunkomath@gmail.com>
+Copyright (C) 2016-2018 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+/**
+ * Authentication of the API calls.
+ *
+ * @module
+ */
+
+"use strict";
+
+const base64 = require("./platform").base64;
+
+/**
+ * Credentials of the client.
+ *
+ * - `"apiKey"`, or `{ apiKey }` - API key of the agent;
+ * - `{ username, password }` - credentials of the agent;
+ * - `{ token }` - bearer token, or a function, which returns (a promise of) the token;
+ * - a function, which returns (a promise of) any of the above.
+ *
+ * Functions are called before every API call, so the credentials could be
+ * rotated without recreating the client.
+ *
+ * @typedef {String|Object|Function}  AuthOptions
+ */
+
+/**
+ * @private
+ *
+ * @param  {String}  credentials  `user:password`
+ * @return {String}               Value of the `Authorization` header for the Basic authentication
+ */
+function basic(credentials) {
+	return "Basic " + base64(credentials);
+}
+
+/**
+ * Builds the value of the `Authorization` header from the static credentials.
+ *
+ * @private
+ *
+ * @param  {String|Object}  auth  API key, `{ apiKey }`, `{ username, password }` or `{ token }`
+ * @return {String}               Value of the `Authorization` header
+ */
+function authorizationOf(auth) {
+	if (typeof auth === "string") {
+		return basic(`${auth}:X`);
+	}
+
+	if (auth && typeof auth === "object") {
+		if (typeof auth.apiKey === "string") {
+			return basic(`${auth.apiKey}:X`);
+		}
+
+		if (
+			typeof auth.username === "string" &&
+			typeof auth.password === "string"
+		) {
+			return basic(`${auth.username}:${auth.password}`);
+		}
+
+		if (typeof auth.token === "string") {
+			return `Bearer ${auth.token}`;
+		}
+	}
+
+	throw new TypeError(
+		"auth should be an API key, { apiKey }, { username, password }, { token } or a function"
+	);
+}
+
+/**
+ * Creates the authentication of the client.
+ *
+ * @param  {AuthOptions}  auth  Credentials
+ * @return {{header: ?String, provider: ?Function}}
+ * Static `Authorization` header, or the provider of the credentials
+ */
+function createAuth(auth) {
+	if (typeof auth === "function") {
+		return { header: null, provider: auth };
+	}
+
+	if (auth && typeof auth === "object" && typeof auth.token === "function") {
+		return {
+			header: null,
+			provider: () =>
+				Promise.resolve(auth.token()).then((token) => ({
+					token: token,
+				})),
+		};
+	}
+
+	return { header: authorizationOf(auth), provider: null };
+}
+
+/**
+ * Resolves the value of the `Authorization` header for the next API call.
+ *
+ * @param  {Freshdesk}  client  Client, which performs the call
+ * @return {Promise<String>}    Value of the `Authorization` header
+ */
+function resolveAuthorization(client) {
+	if (!client._authProvider) {
+		return Promise.resolve(client._auth);
+	}
+
+	return Promise.resolve()
+		.then(() => client._authProvider())
+		.then(authorizationOf);
+}
+
+module.exports.createAuth = createAuth;
+module.exports.resolveAuthorization = resolveAuthorization;
@@ -29,8 +29,28 @@ http://spdx.org/licenses/MIT
 "use strict";
 
 const utils = require("./utils");
+const Throttler = require("./throttler").Throttler;
+const transport = require("./transport");
+const pagination = require("./pagination");
+const searchQuery = require("./query");
+const schema = require("./schema");
+const auth = require("./auth");
+const FreshdeskPool = require("./pool").FreshdeskPool;
+const download = require("./download");
+const inline = require("./inline");
+const attachments = require("./attachments");
 const makeRequest = utils.makeRequest;
 const FreshdeskError = utils.FreshdeskError;
+const FreshdeskValidationError = utils.FreshdeskValidationError;
+const FreshdeskAuthenticationError = utils.FreshdeskAuthenticationError;
+const FreshdeskPermissionError = utils.FreshdeskPermissionError;
+const FreshdeskNotFoundError = utils.FreshdeskNotFoundError;
+const FreshdeskConflictError = utils.FreshdeskConflictError;
+const FreshdeskRateLimitError = utils.FreshdeskRateLimitError;
+const FreshdeskServerError = utils.FreshdeskServerError;
+const FreshdeskNetworkError = utils.FreshdeskNetworkError;
+const FreshdeskTimeoutError = utils.FreshdeskTimeoutError;
+const FreshdeskAbortError = utils.FreshdeskAbortError;
 
 /**
  * Freshdesk APIv2 client.
@@ -41,26 +61,21 @@ const FreshdeskError = utils.FreshdeskError;
 class Freshdesk {
 	/**
 	 * This callback is called on API call ended.
+	 *
+	 * Every API method accepts it as the last parameter. When the callback is
+	 * omitted, the method returns a `Promise`, resolved with the `data`. The
+	 * `extra` is available as a non-enumerable `data.extra` property.
+	 *
+	 * Instead of the callback, per-call options `{ timeout, signal }` could be
+	 * passed as the last parameter: the method returns a `Promise` then.
+	 *
 	 * @name Freshdesk.requestCallback
 	 * @callback Freshdesk.requestCallback
 	 * @param {Error}  [error]  Indicates, that error occured during call
 	 * @param {Object} [data]   Contains actual data
+	 * @param {Object} [extra]  Additional data, gathered from response (`pageIsLast`, `requestId`)
 	 */
 
-	/**
-	 * Freshdesk APIv2 client
-	 *
-	 * @class
-	 * @param {string} baseUrl    Base URL for the API calls, for example `https://demo.freshdesk.com`
-	 * @param {string} apiKey     API key
-	 * @public
-	 */
-	constructor(baseUrl, apiKey) {
-		this.baseUrl = baseUrl;
-		this._auth =
-			"Basic " + Buffer.from(`${apiKey}:X`, "utf-8").toString("base64");
-	}
-
 	/**
 	 * Filter-settings for {@link listAllTickets}.
 	 *
@@ -74,6 +89,260 @@ class Freshdesk {
 	 * @property {string} [updated_since]   Updated since.
 	 */
 
+	/**
+	 * Freshdesk APIv2 client
+	 *
+	 * @class
+	 * @param {string} baseUrl
+	 * Base URL for the API calls: the URL (`https://demo.freshdesk.com`), the domain
+	 * (`demo.freshdesk.com`, `support.example.com`) or the account name (`demo`).
+	 * Throws `TypeError`, when it is not valid
+	 * @param {string|Object|Function} auth
+	 * Credentials: API key (`"apiKey"` or `{ apiKey }`), agent credentials (`{ username, password }`),
+	 * bearer token (`{ token }`, the token could be a function, which returns (a promise of) the token),
+	 * or a function, which returns (a promise of) any of these credentials. See {@link setAuth}
+	 * @param {Object} [options]  Client settings
+	 * @param {number} [options.rateLimitRetries=3]
+	 * How many times a request is retried, when the API responds with `429 Too Many Requests`.
+	 * The client waits for the `Retry-After` delay before each retry. Set to `0` to disable.
+	 * @param {Object} [options.throttle]
+	 * Client-side throttling, disabled by default. Calls are queued, so they don't exceed the rate.
+	 * @param {number} options.throttle.requestsPerMinute  Requests per minute for the whole account
+	 * @param {number} [options.throttle.burst]            Max requests, sent without delay
+	 * @param {Object} [options.throttle.ticketsList]      Separate budget for {@link listAllTickets}: `{ requestsPerMinute, burst }`
+	 * @param {Object} [options.throttle.contactsList]     Separate budget for {@link listAllContacts}: `{ requestsPerMinute, burst }`
+	 * @param {Object} [options.retry]
+	 * Retry policy for network errors and transient API failures, disabled by default.
+	 * @param {number} [options.retry.maxAttempts=1]  Max attempts per call, including the first one
+	 * @param {number} [options.retry.baseDelay=500]  Delay (ms) before the first retry, doubled for each next retry
+	 * @param {number} [options.retry.maxDelay=30000] Max delay (ms) between attempts
+	 * @param {number} [options.retry.jitter=0.5]     Random part of the delay, a fraction between `0` and `1`
+	 * @param {Array.<number>} [options.retry.statuses=[502, 503, 504]]  HTTP statuses, which are retried
+	 * @param {Array.<string>} [options.retry.methods=["GET", "PUT", "DELETE"]]
+	 * HTTP methods, which are retried. Add `POST` only if duplicated entities are acceptable
+	 * @param {Function} [options.transport]
+	 * HTTP transport: a configured axios instance (`axios.create(...)`), or a fetch-compatible
+	 * function (for example the global `fetch`). Defaults to the global `axios` in Node, and to
+	 * the global `fetch` in other runtimes.
+	 * @param {number} [options.timeout]
+	 * Max duration (ms) of an API call, including retries and throttling delays. Disabled by default.
+	 * Could be overridden per call with the `{ timeout }` option.
+	 * @param {boolean} [options.validateQueries=false]
+	 * Validate queries of `filterTickets`, `filterContacts` and `filterCompanies` against the
+	 * field schema of the account before sending them, see {@link validateQuery}.
+	 * @param {Object} [options.attachments]
+	 * Limits of the attachments, checked before the request is sent.
+	 * @param {number} [options.attachments.maxTotalSize=20971520]  Max total size (bytes) of the attachments of a request, 20 MB
+	 * @param {number} [options.attachments.maxCount]  Max number of the attachments of a request, not limited by default
+	 * @public
+	 */
+	constructor(baseUrl, auth, options) {
+		const parsed = utils.parseBaseUrl(baseUrl);
+
+		/**
+		 * Canonical base URL, without the trailing slash, for example
+		 * `https://acme.freshdesk.com`.
+		 *
+		 * @type {string}
+		 */
+		this.baseUrl = parsed.baseUrl;
+
+		/**
+		 * Domain of the account, for example `acme.freshdesk.com`.
+		 *
+		 * @type {string}
+		 */
+		this.domain = parsed.domain;
+
+		/**
+		 * Root URL of the API, for example `https://acme.freshdesk.com/api/v2`.
+		 *
+		 * @type {string}
+		 */
+		this.apiRoot = `${parsed.baseUrl}/api/v2`;
+
+		this.setAuth(auth);
+		this._options = Object.assign({ rateLimitRetries: 3 }, options);
+		this._throttler = this._options.throttle
+			? new Throttler(this._options.throttle)
+			: null;
+		this._retryPolicy = utils.createRetryPolicy(this._options.retry);
+		this._transport = transport.createTransport(this._options.transport);
+		this._middleware = [];
+		this._searchFields = {};
+
+		/**
+		 * The latest rate limit state, reported by the API, or `null` until
+		 * the first response with the `X-RateLimit-*` headers.
+		 *
+		 * @type {?Object}
+		 */
+		this.rateLimit = null;
+	}
+
+	/**
+	 * Replaces the credentials of the client.
+	 *
+	 * Functions (`auth` itself, or the `token` of `{ token }`) are called
+	 * before every API call, so rotated credentials are picked up without
+	 * calling this method.
+	 *
+	 * @example
+	 * freshdesk.setAuth({ username: "agent@example.com", password: "secret" });
+	 * freshdesk.setAuth({ token: () => gateway.fetchToken() });
+	 *
+	 * @param  {string|Object|Function}  credentials  Credentials, the same as `auth` of the constructor
+	 * @return {Freshdesk}  The client itself, for chaining
+	 */
+	setAuth(credentials) {
+		const created = auth.createAuth(credentials);
+
+		this._auth = created.header;
+		this._authProvider = created.provider;
+		return this;
+	}
+
+	/**
+	 * Adds a middleware to the chain, which wraps every API call.
+	 *
+	 * The middleware is called as `middleware(request, next)`:
+	 * - `request` is a normalized API call: `{ method, path, query, body, headers }`;
+	 * - `next(request)` passes the (optionally modified) request to the next
+	 *   middleware, and returns a promise of the result `{ error, data, extra }`.
+	 *
+	 * The middleware should return (a promise of) the result. It could inspect
+	 * or rewrite the result of `next()`, call `next()` once again to retry the
+	 * call, or skip `next()` and return its own result (for example, a cached one).
+	 *
+	 * Middleware is called in the order it was added.
+	 *
+	 * @param  {Function}   middleware  Middleware function
+	 * @return {Freshdesk}              The client itself, for chaining
+	 */
+	use(middleware) {
+		if (!utils.isFunction(middleware)) {
+			throw new TypeError("Middleware should be a function");
+		}
+
+		this._middleware.push(middleware);
+		return this;
+	}
+
+	/**
+	 * Fetches the page, which follows the page of a list call.
+	 *
+	 * @example
+	 * let tickets = await freshdesk.listAllTickets({ per_page: 100 });
+	 * while (tickets) {
+	 *     tickets.forEach((ticket) => console.log(ticket.id));
+	 *     tickets = await freshdesk.nextPage(tickets.extra);
+	 * }
+	 *
+	 * @param  {Object}  extra  `extra` of the previous page, `nextUrl` is used
+	 * @param  {Freshdesk.requestCallback}  [cb]
+	 * Callback function {@link Freshdesk.requestCallback}, or per-call options `{ timeout, signal }`.
+	 * The `data` is `null`, when there is no next page
+	 */
+	nextPage(extra, cb) {
+		if (!extra || !extra.nextUrl) {
+			return utils.deliver(
+				Promise.resolve({
+					error: null,
+					data: null,
+					extra: { pageIsLast: true, nextPage: null, nextUrl: null },
+				}),
+				cb
+			);
+		}
+
+		return makeRequest("GET", this, extra.nextUrl, null, null, cb);
+	}
+
+	/**
+	 * Iterates over all tickets, requesting the pages of {@link listAllTickets}
+	 * one by one.
+	 *
+	 * @example
+	 * for await (const ticket of freshdesk.iterateTickets({ per_page: 100 })) {
+	 *     console.log(ticket.id);
+	 * }
+	 *
+	 * @param  {Freshdesk.TicketsFilter}  [params]   Parameters of {@link listAllTickets}, `page` is the first page
+	 * @param  {Object}                   [options]  Iteration settings: `{ limit, timeout, signal }`
+	 * @return {AsyncGenerator<Freshdesk.Tickets>}   Tickets
+	 */
+	iterateTickets(params, options) {
+		return pagination.paginate(
+			(qs, callOptions) => this.listAllTickets(qs, callOptions),
+			params,
+			options
+		);
+	}
+
+	/**
+	 * Iterates over all contacts, requesting the pages of {@link listAllContacts}
+	 * one by one.
+	 *
+	 * @param  {Object}  [params]   Parameters of {@link listAllContacts}, `page` is the first page
+	 * @param  {Object}  [options]  Iteration settings: `{ limit, timeout, signal }`
+	 * @return {AsyncGenerator<Object>}  Contacts
+	 */
+	iterateContacts(params, options) {
+		return pagination.paginate(
+			(qs, callOptions) => this.listAllContacts(qs, callOptions),
+			params,
+			options
+		);
+	}
+
+	/**
+	 * Iterates over all companies, requesting the pages of {@link listAllCompanies}
+	 * one by one.
+	 *
+	 * @param  {Object}  [params]   Parameters of {@link listAllCompanies}, `page` is the first page
+	 * @param  {Object}  [options]  Iteration settings: `{ limit, timeout, signal }`
+	 * @return {AsyncGenerator<Freshdesk.CompanyViewData>}  Companies
+	 */
+	iterateCompanies(params, options) {
+		return pagination.paginate(
+			(qs, callOptions) => this.listAllCompanies(qs, callOptions),
+			params,
+			options
+		);
+	}
+
+	/**
+	 * Iterates over all agents, requesting the pages of {@link listAllAgents}
+	 * one by one.
+	 *
+	 * @param  {Freshdesk.AgentFilter}  [params]   Parameters of {@link listAllAgents}, `page` is the first page
+	 * @param  {Object}                 [options]  Iteration settings: `{ limit, timeout, signal }`
+	 * @return {AsyncGenerator<Freshdesk.AgentResponse>}  Agents
+	 */
+	iterateAgents(params, options) {
+		return pagination.paginate(
+			(qs, callOptions) => this.listAllAgents(qs, callOptions),
+			params,
+			options
+		);
+	}
+
+	/**
+	 * Iterates over all time entries, requesting the pages of
+	 * {@link listAllTimeEntries} one by one.
+	 *
+	 * @param  {Object}  [params]   Parameters of {@link listAllTimeEntries}, `page` is the first page
+	 * @param  {Object}  [options]  Iteration settings: `{ limit, timeout, signal }`
+	 * @return {AsyncGenerator<Freshdesk.TimeEntryResponse>}  Time entries
+	 */
+	iterateTimeEntries(params, options) {
+		return pagination.paginate(
+			(qs, callOptions) => this.listAllTimeEntries(qs, callOptions),
+			params,
+			options
+		);
+	}
+
 	/**
 	 * listAllTickets API method.
 	 *
@@ -84,9 +353,9 @@ class Freshdesk {
 	 * Callback function {@link Freshdesk.requestCallback}
 	 */
 	listAllTickets(params, cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/tickets`,
 			params,
 			null,
@@ -94,28 +363,175 @@ class Freshdesk {
 		);
 	}
 
+	/**
+	 * Sends the query to the search endpoint.
+	 *
+	 * @private
+	 *
+	 * @param  {String}        entity  `tickets`, `contacts` or `companies`
+	 * @param  {String|Query}  query   Query, raw or built with {@link Freshdesk.q}
+	 * @param  {Number}        [page]  Page number
+	 * @param  {Freshdesk.requestCallback}  [cb]  Callback function, or per-call options
+	 */
+	_search(entity, query, page, cb) {
+		let url;
+		try {
+			url = searchQuery.buildSearchUrl(
+				`${this.baseUrl}/api/v2/search/${entity}`,
+				query,
+				page
+			);
+		} catch (error) {
+			return utils.fail(error, cb);
+		}
+
+		if (!this._options.validateQueries) {
+			return makeRequest("GET", this, url, null, null, cb);
+		}
+
+		const callOptions = utils.isFunction(cb) ? {} : cb || {};
+		const settled = this.validateQuery(entity, query, callOptions)
+			.then(() => makeRequest("GET", this, url, null, null, callOptions))
+			.then(
+				(data) => ({ error: null, data: data, extra: data.extra }),
+				(error) => ({ error: error })
+			);
+
+		return utils.deliver(settled, cb);
+	}
+
+	/**
+	 * Validates the search query against the field schema of the account.
+	 *
+	 * The fields are loaded with {@link listAllTicketFields},
+	 * {@link listAllContactFields} or {@link listAllCompanyFields} on the first
+	 * validation, and cached by the client (see {@link clearFieldCache}).
+	 * Every field of the query should be supported by the search, and every
+	 * value should match the type of the field, or one of its choices.
+	 *
+	 * @example
+	 * freshdesk
+	 *     .validateQuery("tickets", "status:2 AND cf_regoin:'EU'")
+	 *     .catch((err) => console.log(err.errors));
+	 * // [{ field: "cf_regoin", message: "Unknown field, ...", code: "invalid_field" }]
+	 *
+	 * @param  {String}        entity  `tickets`, `contacts` or `companies`
+	 * @param  {String|Query}  query   Query, raw or built with {@link Freshdesk.q}
+	 * @param  {Object}  [options]  Per-call options (`timeout`, `signal`) for loading the fields
+	 * @return {Promise}  Resolved when the query is valid, rejected with
+	 * `FreshdeskValidationError` (with the `errors` array) otherwise
+	 */
+	validateQuery(entity, query, options) {
+		return this._loadSearchFields(entity, options).then((fields) => {
+			const errors = schema.validateQuery(query, fields);
+			if (errors.length === 0) {
+				return;
+			}
+
+			const description = errors
+				.map((error) => `${error.field}: ${error.message}`)
+				.join("; ");
+
+			throw new FreshdeskValidationError(
+				`Search query is invalid: ${description}`,
+				{ description: "Search query is invalid", errors: errors },
+				{
+					request: {
+						method: "GET",
+						path: `/api/v2/search/${entity}`,
+					},
+				}
+			);
+		});
+	}
+
+	/**
+	 * Forgets the field schemas, cached by {@link validateQuery}, so they are
+	 * loaded again on the next validation.
+	 */
+	clearFieldCache() {
+		this._searchFields = {};
+	}
+
+	/**
+	 * Loads the searchable fields of the entity, once.
+	 *
+	 * @private
+	 *
+	 * @param  {String}  entity     `tickets`, `contacts` or `companies`
+	 * @param  {Object}  [options]  Per-call options (`timeout`, `signal`)
+	 * @return {Promise<Object>} Searchable fields, see `schema.buildSearchFields`
+	 */
+	_loadSearchFields(entity, options) {
+		const callOptions = options || {};
+		const loaders = {
+			tickets: () => this.listAllTicketFields(null, callOptions),
+			contacts: () => this.listAllContactFields(callOptions),
+			companies: () => this.listAllCompanyFields(callOptions),
+		};
+
+		if (!loaders[entity]) {
+			return Promise.reject(
+				new TypeError(`Search is not supported for ${entity}`)
+			);
+		}
+
+		if (!this._searchFields[entity]) {
+			this._searchFields[entity] = loaders[entity]()
+				.then((fields) => schema.buildSearchFields(entity, fields))
+				.catch((error) => {
+					// don't cache failures, the next validation loads fields again
+					delete this._searchFields[entity];
+					throw error;
+				});
+		}
+
+		return this._searchFields[entity];
+	}
+
 	/**
 	 * Filter tickets
-	 * @param {*} query Query tickets, refer https://developers.freshdesk.com/api/#filter_tickets
+	 * @param {String|Query} query Query tickets, raw or built with {@link Freshdesk.q}, refer https://developers.freshdesk.com/api/#filter_tickets
 	 * @param {*} page Page number for pagination
 	 * @param {*} cb
 	 */
 	filterTickets(query, page, cb) {
 		// param shift
-		if (utils.isNil(page) && utils.isFunction(page)) {
+		if (
+			utils.isNil(cb) &&
+			(utils.isFunction(page) || (page && typeof page === "object"))
+		) {
 			cb = page;
+			page = undefined;
+		}
+
+		if (utils.isNil(page)) {
 			page = 1;
 		}
 
-		makeRequest(
-			"GET",
-			this._auth,
-			`${this.baseUrl}/api/v2/search/tickets?query="${encodeURI(
-				query
-			)}"&page=${page}`,
-			null,
-			null,
-			cb
+		return this._search("tickets", query, page, cb);
+	}
+
+	/**
+	 * Iterates over all tickets, matching the query, see {@link filterTickets}.
+	 *
+	 * Queries with more than 300 matches (the cap of the search API) are
+	 * split into `created_at` windows automatically.
+	 *
+	 * @example
+	 * for await (const ticket of freshdesk.iterateFilteredTickets("status:2")) {
+	 *     console.log(ticket.id);
+	 * }
+	 *
+	 * @param  {String|Query}  query  Query tickets, refer https://developers.freshdesk.com/api/#filter_tickets
+	 * @param  {Object}  [options]  Iteration settings: `{ limit, from, to, timeout, signal }`
+	 * @return {AsyncGenerator<Freshdesk.Tickets>}  Tickets
+	 */
+	iterateFilteredTickets(query, options) {
+		return pagination.paginateSearch(
+			(q, page, callOptions) => this.filterTickets(q, page, callOptions),
+			query,
+			options
 		);
 	}
 
@@ -133,9 +549,9 @@ class Freshdesk {
 			}
 		}
 
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/ticket_fields`,
 			qs,
 			null,
@@ -144,9 +560,9 @@ class Freshdesk {
 	}
 
 	createTicket(data, cb) {
-		makeRequest(
+		return makeRequest(
 			"POST",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/tickets`,
 			null,
 			data,
@@ -155,9 +571,9 @@ class Freshdesk {
 	}
 
 	getTicket(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/tickets/${id}`,
 			null,
 			null,
@@ -166,9 +582,9 @@ class Freshdesk {
 	}
 
 	updateTicket(id, data, cb) {
-		makeRequest(
+		return makeRequest(
 			"PUT",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/tickets/${id}`,
 			null,
 			data,
@@ -177,9 +593,9 @@ class Freshdesk {
 	}
 
 	deleteTicket(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"DELETE",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/tickets/${id}`,
 			null,
 			null,
@@ -188,9 +604,9 @@ class Freshdesk {
 	}
 
 	restoreTicket(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"PUT",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/tickets/${id}/restore`,
 			null,
 			null,
@@ -199,9 +615,9 @@ class Freshdesk {
 	}
 
 	listAllConversations(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/tickets/${id}/conversations`,
 			null,
 			null,
@@ -210,9 +626,9 @@ class Freshdesk {
 	}
 
 	listAllTicketTimeEntries(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/tickets/${id}/time_entries`,
 			null,
 			null,
@@ -223,9 +639,9 @@ class Freshdesk {
 	//Conversations
 
 	createReply(id, data, cb) {
-		makeRequest(
+		return makeRequest(
 			"POST",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/tickets/${id}/reply`,
 			null,
 			data,
@@ -234,9 +650,9 @@ class Freshdesk {
 	}
 
 	createNote(id, data, cb) {
-		makeRequest(
+		return makeRequest(
 			"POST",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/tickets/${id}/notes`,
 			null,
 			data,
@@ -245,9 +661,9 @@ class Freshdesk {
 	}
 
 	updateConversation(id, data, cb) {
-		makeRequest(
+		return makeRequest(
 			"PUT",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/conversations/${id}`,
 			null,
 			data,
@@ -256,9 +672,9 @@ class Freshdesk {
 	}
 
 	deleteConversation(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"DELETE",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/conversations/${id}`,
 			null,
 			null,
@@ -266,12 +682,206 @@ class Freshdesk {
 		);
 	}
 
+	//Attachments
+
+	/**
+	 * Downloads the attachment of a ticket or a conversation (Node only).
+	 *
+	 * The content is streamed, so large files are not kept in memory. When
+	 * Freshdesk reports the `size` of the attachment, the downloaded size is
+	 * verified, and a partially written file is removed on failure.
+	 *
+	 * @example
+	 * const ticket = await freshdesk.getTicket(21);
+	 * await freshdesk.downloadAttachment(ticket.attachments[0], "/tmp/report.pdf");
+	 *
+	 * @param  {Object|string}  attachment  Attachment (with `attachment_url`), or its URL
+	 * @param  {string|Writable}  destination
+	 * Path of the file, or a writable stream (it is ended after the download)
+	 * @param  {Freshdesk.requestCallback}  [cb]
+	 * Callback function {@link Freshdesk.requestCallback}, or per-call options `{ timeout, signal }`
+	 * (the timeout covers the whole download). The `data` is
+	 * `{ id, name, path, size, contentType }` of the downloaded attachment
+	 */
+	downloadAttachment(attachment, destination, cb) {
+		const callOptions = utils.isFunction(cb) ? {} : cb || {};
+		const settled = download
+			.downloadAttachment(this, attachment, destination, callOptions)
+			.then(
+				(data) => ({ error: null, data: data }),
+				(error) => ({ error: error })
+			);
+
+		return utils.deliver(settled, cb);
+	}
+
+	/**
+	 * Downloads all attachments of the ticket and its conversations to the
+	 * directory (Node only). The directory is created, when it doesn't exist.
+	 *
+	 * Files are named after the attachments, with path separators and other
+	 * unsafe characters replaced; duplicated names get the ` (1)`, ` (2)`,
+	 * etc. suffix.
+	 *
+	 * @param  {number}  ticketId  ID of the ticket
+	 * @param  {string}  dir       Path of the directory
+	 * @param  {Freshdesk.requestCallback}  [cb]
+	 * Callback function {@link Freshdesk.requestCallback}, or per-call options `{ timeout, signal }`
+	 * (applied to every API call and download). The `data` is an array
+	 * of `{ id, name, path, size, contentType, conversationId }` of the downloaded attachments
+	 */
+	downloadTicketAttachments(ticketId, dir, cb) {
+		const callOptions = utils.isFunction(cb) ? {} : cb || {};
+		const settled = download
+			.downloadTicketAttachments(this, ticketId, dir, callOptions)
+			.then(
+				(data) => ({ error: null, data: data }),
+				(error) => ({ error: error })
+			);
+
+		return utils.deliver(settled, cb);
+	}
+
+	/**
+	 * Deletes the attachment of a ticket, a conversation or an inline image.
+	 *
+	 * @param  {number}  id  ID of the attachment
+	 * @param  {Freshdesk.requestCallback}  [cb]
+	 * Callback function {@link Freshdesk.requestCallback}
+	 */
+	deleteAttachment(id, cb) {
+		return makeRequest(
+			"DELETE",
+			this,
+			`${this.baseUrl}/api/v2/attachments/${id}`,
+			null,
+			null,
+			cb
+		);
+	}
+
+	/**
+	 * Uploads the inline image, so it could be referenced from the HTML of a
+	 * ticket or a conversation (with its ID in `inline_attachment_ids`).
+	 *
+	 * @param  {string|Buffer|Blob|Object}  image
+	 * Image, in any form, supported by `attachments` (a path, a `Buffer`, a `Blob`,
+	 * `{ content, filename, contentType }`, etc.)
+	 * @param  {Freshdesk.requestCallback}  [cb]
+	 * Callback function {@link Freshdesk.requestCallback}, or per-call options `{ timeout, signal }`. The `data` is the uploaded
+	 * image, with the `id` and the `attachment_url`
+	 */
+	uploadInlineImage(image, cb) {
+		return makeRequest(
+			"POST",
+			this,
+			`${this.baseUrl}/api/v2/attachments`,
+			null,
+			{ inline: true, content: new attachments.FilePart(image) },
+			cb
+		);
+	}
+
+	/**
+	 * Creates a ticket, uploading the local images of its HTML `description`
+	 * as inline images.
+	 *
+	 * Images are referenced by paths (relative to `options.baseDir`, and not
+	 * leading outside of it), `data:` URIs or by the keys of `options.images`.
+	 * Absolute paths and `file:` URLs are rejected, unless
+	 * `options.allowAbsolutePaths` is set (only for trusted HTML). The `<img>` tags
+	 * are pointed to the uploaded images, and their IDs are added to
+	 * `inline_attachment_ids`. Uploaded images are deleted, when the ticket is
+	 * not created.
+	 *
+	 * @example
+	 * await freshdesk.createTicketWithInlineImages(
+	 *     {
+	 *         subject: "Broken layout",
+	 *         description: '<p>See <img src="./screenshot.png"></p>',
+	 *         email: "user@example.com",
+	 *     },
+	 *     { baseDir: __dirname }
+	 * );
+	 *
+	 * @param  {Object}  data  Ticket, see {@link createTicket}
+	 * @param  {Object}  [options]  Settings of the images: `{ images, baseDir, allowAbsolutePaths }`
+	 * @param  {Freshdesk.requestCallback}  [cb]
+	 * Callback function {@link Freshdesk.requestCallback}, or per-call options `{ timeout, signal }`
+	 * (applied to every upload, the creation of the ticket and the cleanup)
+	 */
+	createTicketWithInlineImages(data, options, cb) {
+		// param shift
+		if (utils.isNil(cb) && utils.isFunction(options)) {
+			cb = options;
+			options = undefined;
+		}
+
+		return this._sendWithInlineImages(
+			data,
+			"description",
+			options,
+			(ticket, callOptions) => this.createTicket(ticket, callOptions),
+			cb
+		);
+	}
+
+	/**
+	 * Creates a reply to the ticket, uploading the local images of its HTML
+	 * `body` as inline images, see {@link createTicketWithInlineImages}.
+	 *
+	 * @param  {number}  id    ID of the ticket
+	 * @param  {Object}  data  Reply, see {@link createReply}
+	 * @param  {Object}  [options]  Settings of the images: `{ images, baseDir, allowAbsolutePaths }`
+	 * @param  {Freshdesk.requestCallback}  [cb]
+	 * Callback function {@link Freshdesk.requestCallback}, or per-call options `{ timeout, signal }`
+	 * (applied to every upload, the creation of the reply and the cleanup)
+	 */
+	createReplyWithInlineImages(id, data, options, cb) {
+		// param shift
+		if (utils.isNil(cb) && utils.isFunction(options)) {
+			cb = options;
+			options = undefined;
+		}
+
+		return this._sendWithInlineImages(
+			data,
+			"body",
+			options,
+			(reply, callOptions) => this.createReply(id, reply, callOptions),
+			cb
+		);
+	}
+
+	/**
+	 * @private
+	 */
+	_sendWithInlineImages(data, field, options, send, cb) {
+		if (!data || typeof data !== "object") {
+			return utils.fail(new TypeError("data should be an object"), cb);
+		}
+
+		const callOptions = utils.isFunction(cb) ? {} : cb || {};
+		const settled = inline
+			.sendWithInlineImages(this, data, field, options, send, callOptions)
+			.then(
+				(result) => ({
+					error: null,
+					data: result,
+					extra: result && result.extra,
+				}),
+				(error) => ({ error: error })
+			);
+
+		return utils.deliver(settled, cb);
+	}
+
 	//Contacts
 
 	createContact(data, cb) {
-		makeRequest(
+		return makeRequest(
 			"POST",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/contacts`,
 			null,
 			data,
@@ -280,9 +890,9 @@ class Freshdesk {
 	}
 
 	getContact(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/contacts/${id}`,
 			null,
 			null,
@@ -291,9 +901,9 @@ class Freshdesk {
 	}
 
 	listAllContacts(params, cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/contacts`,
 			params,
 			null,
@@ -302,9 +912,9 @@ class Freshdesk {
 	}
 
 	updateContact(id, data, cb) {
-		makeRequest(
+		return makeRequest(
 			"PUT",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/contacts/${id}`,
 			null,
 			data,
@@ -313,9 +923,9 @@ class Freshdesk {
 	}
 
 	deleteContact(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"DELETE",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/contacts/${id}`,
 			null,
 			null,
@@ -324,9 +934,9 @@ class Freshdesk {
 	}
 
 	makeAgent(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"PUT",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/contacts/${id}/make_agent`,
 			null,
 			null,
@@ -335,9 +945,9 @@ class Freshdesk {
 	}
 
 	listAllContactFields(cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/contact_fields`,
 			null,
 			null,
@@ -358,19 +968,39 @@ class Freshdesk {
 	 *
 	 * @category Contacts
 	 *
-	 * @param  {String}  query  The query, used to filter contacts
+	 * @param  {String|Query}  query  The query, used to filter contacts, raw or built with {@link Freshdesk.q}
+	 * @param  {Number}  [page]  Page number for pagination, 30 results per page, 10 pages at most
 	 * @param  {Freshdesk.requestCallback<Array.<Freshdesk.ContactViewData>>}  cb
 	 * Callback function {@link Freshdesk.requestCallback}
 	 */
-	filterContacts(query, cb) {
-		const encodedQuery = encodeURI(query);
-		makeRequest(
-			"GET",
-			this._auth,
-			`${this.baseUrl}/api/v2/search/contacts?query="${encodedQuery}"`,
-			null,
-			null,
-			cb
+	filterContacts(query, page, cb) {
+		// param shift
+		if (
+			utils.isNil(cb) &&
+			(utils.isFunction(page) || (page && typeof page === "object"))
+		) {
+			cb = page;
+			page = undefined;
+		}
+
+		return this._search("contacts", query, page, cb);
+	}
+
+	/**
+	 * Iterates over all contacts, matching the query, see {@link filterContacts}.
+	 *
+	 * Queries with more than 300 matches (the cap of the search API) are
+	 * split into `created_at` windows automatically.
+	 *
+	 * @param  {String|Query}  query  The query, used to filter contacts
+	 * @param  {Object}  [options]  Iteration settings: `{ limit, from, to, timeout, signal }`
+	 * @return {AsyncGenerator<Freshdesk.ContactViewData>}  Contacts
+	 */
+	iterateFilteredContacts(query, options) {
+		return pagination.paginateSearch(
+			(q, page, callOptions) => this.filterContacts(q, page, callOptions),
+			query,
+			options
 		);
 	}
 
@@ -453,9 +1083,9 @@ class Freshdesk {
 	 * Callback function {@link Freshdesk.requestCallback}
 	 */
 	getAgent(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/agents/${id}`,
 			null,
 			null,
@@ -475,9 +1105,9 @@ class Freshdesk {
 	 * Callback function {@link Freshdesk.requestCallback}
 	 */
 	listAllAgents(params, cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/agents`,
 			params,
 			null,
@@ -498,9 +1128,9 @@ class Freshdesk {
 	 * Callback function {@link Freshdesk.requestCallback}
 	 */
 	updateAgent(id, data, cb) {
-		makeRequest(
+		return makeRequest(
 			"PUT",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/agents/${id}`,
 			null,
 			data,
@@ -520,9 +1150,9 @@ class Freshdesk {
 	 *
 	 */
 	deleteAgent(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"DELETE",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/agents/${id}`,
 			null,
 			null,
@@ -541,9 +1171,9 @@ class Freshdesk {
 	 * Callback function {@link Freshdesk.requestCallback}
 	 */
 	currentAgent(cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/agents/me`,
 			null,
 			null,
@@ -564,9 +1194,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb      Callback function {@link Freshdesk.requestCallback}
 	 */
 	getRole(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/roles/${id}`,
 			null,
 			null,
@@ -585,9 +1215,9 @@ class Freshdesk {
 	 * @return {void}          `void`
 	 */
 	listAllRoles(cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/roles`,
 			null,
 			null,
@@ -639,9 +1269,9 @@ class Freshdesk {
 	 * @return {void}          `void`
 	 */
 	createCompany(data, cb) {
-		makeRequest(
+		return makeRequest(
 			"POST",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/companies`,
 			null,
 			data,
@@ -661,9 +1291,9 @@ class Freshdesk {
 	 * Callback function
 	 */
 	getCompany(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/companies/${id}`,
 			null,
 			null,
@@ -696,9 +1326,9 @@ class Freshdesk {
 			}
 		}
 
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/companies/autocomplete`,
 			qs,
 			null,
@@ -729,11 +1359,14 @@ class Freshdesk {
 			if (params.page) {
 				qs["page"] = params.page;
 			}
+			if (params.per_page) {
+				qs["per_page"] = params.per_page;
+			}
 		}
 
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/companies`,
 			qs,
 			null,
@@ -754,26 +1387,47 @@ class Freshdesk {
 	 *
 	 * @category Companies
 	 *
-	 * @param  {String}  query  The query, used to filter companies
+	 * @param  {String|Query}  query  The query, used to filter companies, raw or built with {@link Freshdesk.q}
+	 * @param  {Number}  [page]  Page number for pagination, 30 results per page, 10 pages at most
 	 * @param  {Freshdesk.requestCallback<Array.<Freshdesk.CompanyViewData>>}  cb
 	 * Callback function {@link Freshdesk.requestCallback}
 	 */
-	filterCompanies(query, cb) {
-		const encodedQuery = encodeURI(query);
-		makeRequest(
-			"GET",
-			this._auth,
-			`${this.baseUrl}/api/v2/search/companies?query="${encodedQuery}"`,
-			null,
-			null,
-			cb
+	filterCompanies(query, page, cb) {
+		// param shift
+		if (
+			utils.isNil(cb) &&
+			(utils.isFunction(page) || (page && typeof page === "object"))
+		) {
+			cb = page;
+			page = undefined;
+		}
+
+		return this._search("companies", query, page, cb);
+	}
+
+	/**
+	 * Iterates over all companies, matching the query, see {@link filterCompanies}.
+	 *
+	 * Queries with more than 300 matches (the cap of the search API) are
+	 * split into `created_at` windows automatically.
+	 *
+	 * @param  {String|Query}  query  The query, used to filter companies
+	 * @param  {Object}  [options]  Iteration settings: `{ limit, from, to, timeout, signal }`
+	 * @return {AsyncGenerator<Freshdesk.CompanyViewData>}  Companies
+	 */
+	iterateFilteredCompanies(query, options) {
+		return pagination.paginateSearch(
+			(q, page, callOptions) =>
+				this.filterCompanies(q, page, callOptions),
+			query,
+			options
 		);
 	}
 
 	listAllCompanyFields(cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/company_fields`,
 			null,
 			null,
@@ -794,9 +1448,9 @@ class Freshdesk {
 	 * @return {void}          `void`
 	 */
 	updateCompany(id, data, cb) {
-		makeRequest(
+		return makeRequest(
 			"PUT",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/companies/${id}`,
 			null,
 			data,
@@ -819,9 +1473,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb      Callback function {@link Freshdesk.requestCallback}
 	 */
 	deleteCompany(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"DELETE",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/companies/${id}`,
 			null,
 			null,
@@ -887,9 +1541,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb         Callback function {@link Freshdesk.requestCallback}
 	 */
 	createTimeEntry(ticket_id, data, cb) {
-		makeRequest(
+		return makeRequest(
 			"POST",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/tickets/${ticket_id}/time_entries`,
 			null,
 			data,
@@ -931,13 +1585,16 @@ class Freshdesk {
 			if ("page" in params) {
 				qs.page = params.page;
 			}
+			if ("per_page" in params) {
+				qs.per_page = params.per_page;
+			}
 
 			qs.company_id = params.company_id;
 			qs.agent_id = params.agent_id;
 		}
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/time_entries`,
 			qs,
 			null,
@@ -965,9 +1622,9 @@ class Freshdesk {
 	 * Callback function {@link Freshdesk.requestCallback}
 	 */
 	updateTimeEntry(id, data, cb) {
-		makeRequest(
+		return makeRequest(
 			"PUT",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/time_entries/${id}`,
 			null,
 			data,
@@ -987,9 +1644,9 @@ class Freshdesk {
 	 * Callback function {@link Freshdesk.requestCallback}
 	 */
 	toggleTimer(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"PUT",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/time_entries/${id}/toggle_timer`,
 			null,
 			null,
@@ -1011,9 +1668,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb      Callback function {@link Freshdesk.requestCallback}
 	 */
 	deleteTimeEntry(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"DELETE",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/time_entries/${id}`,
 			null,
 			null,
@@ -1063,9 +1720,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb         Callback function {@link Freshdesk.requestCallback}
 	 */
 	createSolutionCategory(data, cb) {
-		makeRequest(
+		return makeRequest(
 			"POST",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/solutions/categories`,
 			null,
 			data,
@@ -1091,9 +1748,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb             Callback function {@link Freshdesk.requestCallback}
 	 */
 	createTranslatedSolutionCategory(id, language_code, data, cb) {
-		makeRequest(
+		return makeRequest(
 			"POST",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/solutions/categories/${id}/${language_code}`,
 			null,
 			data,
@@ -1113,9 +1770,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb         Callback function {@link Freshdesk.requestCallback}
 	 */
 	updateSolutionCategory(id, data, cb) {
-		makeRequest(
+		return makeRequest(
 			"PUT",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/solutions/categories/${id}`,
 			null,
 			data,
@@ -1141,9 +1798,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb             Callback function {@link Freshdesk.requestCallback}
 	 */
 	updateTranslatedSolutionCategory(id, language_code, data, cb) {
-		makeRequest(
+		return makeRequest(
 			"PUT",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/solutions/categories/${id}/${language_code}`,
 			null,
 			data,
@@ -1162,9 +1819,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb      Callback function {@link Freshdesk.requestCallback}
 	 */
 	getSolutionCategory(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/solutions/categories/${id}`,
 			null,
 			null,
@@ -1182,9 +1839,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb      Callback function {@link Freshdesk.requestCallback}
 	 */
 	listAllSolutionCategories(cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/solutions/categories`,
 			null,
 			null,
@@ -1206,9 +1863,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb      Callback function {@link Freshdesk.requestCallback}
 	 */
 	deleteSolutionCategory(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"DELETE",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/solutions/categories/${id}`,
 			null,
 			null,
@@ -1261,9 +1918,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb         Callback function {@link Freshdesk.requestCallback}
 	 */
 	createSolutionFolder(id, data, cb) {
-		makeRequest(
+		return makeRequest(
 			"POST",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/solutions/categories/${id}/folders`,
 			null,
 			data,
@@ -1289,9 +1946,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb             Callback function {@link Freshdesk.requestCallback}
 	 */
 	createTranslatedSolutionFolder(id, language_code, data, cb) {
-		makeRequest(
+		return makeRequest(
 			"POST",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/solutions/folders/${id}/${language_code}`,
 			null,
 			data,
@@ -1311,9 +1968,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb         Callback function {@link Freshdesk.requestCallback}
 	 */
 	updateSolutionFolder(id, data, cb) {
-		makeRequest(
+		return makeRequest(
 			"PUT",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/solutions/folders/${id}`,
 			null,
 			data,
@@ -1339,9 +1996,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb             Callback function {@link Freshdesk.requestCallback}
 	 */
 	updateTranslatedSolutionFolder(id, language_code, data, cb) {
-		makeRequest(
+		return makeRequest(
 			"PUT",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/solutions/folders/${id}/${language_code}`,
 			null,
 			data,
@@ -1360,9 +2017,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb      Callback function {@link Freshdesk.requestCallback}
 	 */
 	getSolutionFolder(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/solutions/folders/${id}`,
 			null,
 			null,
@@ -1381,9 +2038,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb      Callback function {@link Freshdesk.requestCallback}
 	 */
 	listAllSolutionCategoryFolders(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/solutions/categories/${id}/folders`,
 			null,
 			null,
@@ -1405,9 +2062,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb      Callback function {@link Freshdesk.requestCallback}
 	 */
 	deleteSolutionFolder(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"DELETE",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/solutions/folders/${id}`,
 			null,
 			null,
@@ -1465,9 +2122,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb         Callback function {@link Freshdesk.requestCallback}
 	 */
 	createSolutionArticle(id, data, cb) {
-		makeRequest(
+		return makeRequest(
 			"POST",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/solutions/folders/${id}/articles`,
 			null,
 			data,
@@ -1493,9 +2150,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb             Callback function {@link Freshdesk.requestCallback}
 	 */
 	createTranslatedSolutionArticle(id, language_code, data, cb) {
-		makeRequest(
+		return makeRequest(
 			"POST",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/solutions/articles/${id}/${language_code}`,
 			null,
 			data,
@@ -1515,9 +2172,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb         Callback function {@link Freshdesk.requestCallback}
 	 */
 	updateSolutionArticle(id, data, cb) {
-		makeRequest(
+		return makeRequest(
 			"PUT",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/solutions/articles/${id}`,
 			null,
 			data,
@@ -1543,9 +2200,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb             Callback function {@link Freshdesk.requestCallback}
 	 */
 	updateTranslatedSolutionArticle(id, language_code, data, cb) {
-		makeRequest(
+		return makeRequest(
 			"PUT",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/solutions/articles/${id}/${language_code}`,
 			null,
 			data,
@@ -1564,9 +2221,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb      Callback function {@link Freshdesk.requestCallback}
 	 */
 	getSolutionArticle(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/solutions/articles/${id}`,
 			null,
 			null,
@@ -1586,9 +2243,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb             	Callback function {@link Freshdesk.requestCallback}
 	 */
 	getTranslatedSolutionArticle(id, language_code, cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/solutions/articles/${id}/${language_code}`,
 			null,
 			null,
@@ -1607,9 +2264,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb      Callback function {@link Freshdesk.requestCallback}
 	 */
 	listAllSolutionFolderArticles(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/solutions/folders/${id}/articles`,
 			null,
 			null,
@@ -1631,9 +2288,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb      Callback function {@link Freshdesk.requestCallback}
 	 */
 	deleteSolutionArticle(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"DELETE",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/solutions/articles/${id}`,
 			null,
 			null,
@@ -1652,9 +2309,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb      Callback function {@link Freshdesk.requestCallback}
 	 */
 	searchSolutionArticles(term, cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/search/solutions?term=${encodeURI(term)}`,
 			null,
 			null,
@@ -1676,9 +2333,9 @@ class Freshdesk {
 	 * @param  {Freshdesk.requestCallback}          cb      Callback function {@link Freshdesk.requestCallback}
 	 */
 	getSettings(cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/settings/helpdesk`,
 			null,
 			null,
@@ -1691,9 +2348,9 @@ class Freshdesk {
 	 * Creates outbound email
 	 */
 	createTicketEmail(data, cb) {
-		makeRequest(
+		return makeRequest(
 			"POST",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/tickets/outbound_email`,
 			null,
 			data,
@@ -1705,9 +2362,9 @@ class Freshdesk {
 	 * Lists all agent's groups
 	 */
 	listAllGroups(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/groups`,
 			null,
 			null,
@@ -1719,9 +2376,9 @@ class Freshdesk {
 	 * Lists all support emails
 	 */
 	listAllEmails(id, cb) {
-		makeRequest(
+		return makeRequest(
 			"GET",
-			this._auth,
+			this,
 			`${this.baseUrl}/api/v2/email_configs`,
 			null,
 			null,
@@ -1733,3 +2390,18 @@ class Freshdesk {
 module.exports = Freshdesk;
 
 module.exports.FreshdeskError = FreshdeskError;
+module.exports.FreshdeskValidationError = FreshdeskValidationError;
+module.exports.FreshdeskAuthenticationError = FreshdeskAuthenticationError;
+module.exports.FreshdeskPermissionError = FreshdeskPermissionError;
+module.exports.FreshdeskNotFoundError = FreshdeskNotFoundError;
+module.exports.FreshdeskConflictError = FreshdeskConflictError;
+module.exports.FreshdeskRateLimitError = FreshdeskRateLimitError;
+module.exports.FreshdeskServerError = FreshdeskServerError;
+module.exports.FreshdeskNetworkError = FreshdeskNetworkError;
+module.exports.FreshdeskTimeoutError = FreshdeskTimeoutError;
+module.exports.FreshdeskAbortError = FreshdeskAbortError;
+module.exports.FreshdeskPool = FreshdeskPool;
+module.exports.q = searchQuery.q;
+module.exports.Query = searchQuery.Query;
+module.exports.axiosTransport = transport.axiosTransport;
+module.exports.fetchTransport = transport.fetchTransport;
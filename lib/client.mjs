@@ -0,0 +1,48 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2018 Arjun Komath <arjunkomath@gmail.com>
+Copyright (C) 2016-2018 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+/**
+ * ES module entry point, it re-exports the CommonJS {@link Freshdesk}.
+ *
+ * @example
+ * import Freshdesk, { q, FreshdeskNotFoundError } from "freshdesk-api";
+ */
+
+import Freshdesk from "./client.js";
+
+export default Freshdesk;
+
+export const {
+	FreshdeskError,
+	FreshdeskValidationError,
+	FreshdeskAuthenticationError,
+	FreshdeskPermissionError,
+	FreshdeskNotFoundError,
+	FreshdeskConflictError,
+	FreshdeskRateLimitError,
+	FreshdeskServerError,
+	FreshdeskNetworkError,
+	FreshdeskTimeoutError,
+	FreshdeskAbortError,
+	FreshdeskPool,
+	q,
+	Query,
+	axiosTransport,
+	fetchTransport,
+} = Freshdesk;
@@ -0,0 +1,414 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2018 Arjun Komath <arjunkomath@gmail.com>
+Copyright (C) 2016-2018 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+/**
+ * Downloads of ticket and conversation attachments (Node only).
+ *
+ * @module
+ */
+
+"use strict";
+
+const debug = require("debug")("freshdesk-api");
+const utils = require("./utils");
+const isNode = require("./platform").isNode;
+const pathOf = require("./transport").pathOf;
+const resolveAuthorization = require("./auth").resolveAuthorization;
+
+/**
+ * Downloaded attachment.
+ *
+ * @typedef  {Object}  DownloadedAttachment
+ * @property {?Number} id              ID of the attachment
+ * @property {String}  name            Name of the attachment, reported by Freshdesk
+ * @property {?String} path            Path of the saved file, `null` for streams
+ * @property {Number}  size            Downloaded bytes
+ * @property {?String} contentType     MIME type
+ * @property {?Number} conversationId  ID of the conversation (only for {@link downloadTicketAttachments})
+ */
+
+/**
+ * Makes the name of the attachment safe for the file system: without
+ * path separators, control and reserved characters, leading dots and
+ * reserved Windows names.
+ *
+ * @param  {String}  name      Name of the attachment
+ * @param  {String}  fallback  Name, used when nothing is left of the `name`
+ * @return {String}            Safe name of the file
+ */
+function safeFileName(name, fallback) {
+	let safe = String(name || "")
+		.replace(/[\u0000-\u001f\u007f<>:"/\\|?*]/g, "_")
+		.replace(/^[\s.]+|[\s.]+$/g, "");
+
+	if (/^(con|prn|aux|nul|com\d|lpt\d)(\.|$)/i.test(safe)) {
+		safe = `_${safe}`;
+	}
+
+	if (safe.length > 200) {
+		const dot = safe.lastIndexOf(".");
+		const ext = dot > 0 && safe.length - dot <= 20 ? safe.slice(dot) : "";
+		safe = safe.slice(0, 200 - ext.length) + ext;
+	}
+
+	return safe || fallback;
+}
+
+/**
+ * Appends ` (1)`, ` (2)`, etc. to the name, when it is already used.
+ *
+ * @private
+ *
+ * @param  {String}       name  Safe name of the file
+ * @param  {Set.<String>} used  Names (in lower case), used by other files, updated by the function
+ * @return {String}             Unique name of the file
+ */
+function uniqueFileName(name, used) {
+	const dot = name.lastIndexOf(".");
+	const base = dot > 0 ? name.slice(0, dot) : name;
+	const ext = dot > 0 ? name.slice(dot) : "";
+
+	let candidate = name;
+	for (let i = 1; used.has(candidate.toLowerCase()); i++) {
+		candidate = `${base} (${i})${ext}`;
+	}
+
+	used.add(candidate.toLowerCase());
+	return candidate;
+}
+
+/**
+ * Per-call options of the downloads.
+ *
+ * @typedef  {Object}       DownloadOptions
+ * @property {Number}       [timeout]  Timeout (ms) of every download and API call, the `timeout` of the client by default
+ * @property {AbortSignal}  [signal]   Signal, which aborts the downloads
+ */
+
+/**
+ * Downloads the attachment to the file, or to the writable stream.
+ *
+ * Attachment URLs are pre-signed, so the credentials of the client are sent
+ * only to the domain of the account. The timeout covers the whole download,
+ * not only the response headers.
+ *
+ * @param  {Freshdesk}      client       Client
+ * @param  {Object|String}  attachment   Attachment (with `attachment_url`), or its URL
+ * @param  {String|Writable}  destination  Path of the file, or a Node writable stream (it is ended after the download)
+ * @param  {DownloadOptions}  [options]  Per-call options
+ * @return {Promise<DownloadedAttachment>}  Downloaded attachment
+ */
+async function downloadAttachment(client, attachment, destination, options) {
+	if (typeof attachment === "string") {
+		attachment = { attachment_url: attachment };
+	}
+
+	if (
+		!attachment ||
+		typeof attachment.attachment_url !== "string" ||
+		attachment.attachment_url === ""
+	) {
+		throw new TypeError(
+			"attachment should be an attachment with `attachment_url`, or its URL"
+		);
+	}
+
+	const toFile = typeof destination === "string" && destination !== "";
+	if (
+		!isNode ||
+		!(toFile || (destination && typeof destination.write === "function"))
+	) {
+		throw new TypeError(
+			"destination should be a path of the file, or a writable stream (Node only)"
+		);
+	}
+
+	options = options || {};
+	const cancellation = utils.createCancellation(
+		utils.isNil(options.timeout)
+			? client._options.timeout
+			: options.timeout,
+		options.signal
+	);
+
+	try {
+		return await transfer(
+			client,
+			attachment,
+			destination,
+			toFile,
+			cancellation
+		);
+	} finally {
+		cancellation.dispose();
+	}
+}
+
+/**
+ * Sends the request of the download, and streams the body to the
+ * destination, see {@link downloadAttachment}.
+ *
+ * @private
+ *
+ * @param  {Freshdesk}        client        Client
+ * @param  {Object}           attachment    Attachment with `attachment_url`
+ * @param  {String|Writable}  destination   Path of the file, or a Node writable stream
+ * @param  {Boolean}          toFile        Whether the destination is a path
+ * @param  {Object}           cancellation  Cancellation of the download, see `utils.createCancellation`
+ * @return {Promise<DownloadedAttachment>}  Downloaded attachment
+ */
+async function transfer(client, attachment, destination, toFile, cancellation) {
+	const url = attachment.attachment_url;
+	const context = {
+		method: "GET",
+		path: pathOf(url),
+		attempts: 0,
+		elapsed: 0,
+	};
+
+	const startedAt = Date.now();
+	const cancelled = () => {
+		context.elapsed = Date.now() - startedAt;
+		return utils.cancellationError(cancellation.reason, context);
+	};
+
+	const request = {
+		method: "GET",
+		url: url,
+		headers: {},
+		responseType: "stream",
+		signal: cancellation.signal || undefined,
+	};
+	if (new URL(url).host === client.domain) {
+		request.headers.Authorization = await resolveAuthorization(client);
+	}
+
+	if (cancellation.reason) {
+		throw cancelled();
+	}
+
+	debug("Downloading attachment [%s]", context.path);
+
+	context.attempts = 1;
+	const sent = client._transport(request);
+
+	// without `AbortController` the transport could not be stopped, so the
+	// late response is released
+	const response = await Promise.race([
+		sent,
+		cancellation.promise.then(() => null),
+	]).catch((error) => {
+		if (cancellation.reason) {
+			throw cancelled();
+		}
+
+		context.elapsed = Date.now() - startedAt;
+		throw new utils.FreshdeskNetworkError(error, context);
+	});
+
+	if (!response) {
+		sent.then(
+			(late) => discard(late.data),
+			() => {}
+		);
+		throw cancelled();
+	}
+
+	if (response.status < 200 || response.status >= 300) {
+		discard(response.data);
+
+		// the body is not parsed, the error is described by the status
+		const result = utils.createResponseHandler((error) => error)(
+			null,
+			response,
+			null
+		);
+		throw result || new utils.FreshdeskError(null, null, response);
+	}
+
+	const stream = require("stream");
+	const fs = require("fs");
+
+	let body = response.data;
+	if (body && typeof body.getReader === "function") {
+		body = stream.Readable.fromWeb(body);
+	}
+
+	let size = 0;
+	const counter = new stream.Transform({
+		transform(chunk, encoding, next) {
+			size += chunk.length;
+			next(null, chunk);
+		},
+	});
+	const target = toFile ? fs.createWriteStream(destination) : destination;
+
+	const removePartialFile = () =>
+		toFile ? fs.promises.unlink(destination).catch(() => {}) : null;
+
+	// errors of the destination (e.g. no such directory) are not network ones
+	let targetFailed = false;
+	target.once("error", () => {
+		targetFailed = true;
+	});
+
+	// a stalled body is stopped by the timeout, or by the signal: the
+	// pipeline fails, when any of its streams is destroyed
+	cancellation.promise.then((reason) => counter.destroy(reason.cause));
+
+	try {
+		await new Promise((resolve, reject) =>
+			stream.pipeline(body, counter, target, (error) =>
+				error ? reject(error) : resolve()
+			)
+		);
+	} catch (error) {
+		await removePartialFile();
+		if (cancellation.reason) {
+			throw cancelled();
+		}
+
+		if (targetFailed) {
+			throw error;
+		}
+
+		context.elapsed = Date.now() - startedAt;
+		throw new utils.FreshdeskNetworkError(error, context);
+	}
+
+	const headers = response.headers || {};
+	let expected = attachment.size;
+	if (typeof expected !== "number") {
+		// `content-length` of a compressed body is not the size of the
+		// decompressed one, so it is not checked
+		expected = headers["content-encoding"]
+			? NaN
+			: parseInt(headers["content-length"], 10);
+	}
+
+	if (!isNaN(expected) && expected !== size) {
+		await removePartialFile();
+		throw new utils.FreshdeskError(
+			`Downloaded ${size} bytes of the attachment, but ${expected} bytes are expected`,
+			null,
+			response
+		);
+	}
+
+	return {
+		id: utils.isNil(attachment.id) ? null : attachment.id,
+		name: attachment.name || null,
+		path: toFile ? destination : null,
+		size: size,
+		contentType: attachment.content_type || headers["content-type"] || null,
+		conversationId: null,
+	};
+}
+
+/**
+ * Releases the body of the failed download.
+ *
+ * @private
+ *
+ * @param  {Readable|ReadableStream}  body  Stream of the body
+ */
+function discard(body) {
+	if (body && typeof body.resume === "function") {
+		// error bodies are small, so they are drained
+		body.resume();
+	} else if (body && typeof body.cancel === "function") {
+		body.cancel().catch(() => {});
+	}
+}
+
+/**
+ * Downloads all attachments of the ticket and its conversations to the
+ * directory (it is created, when it doesn't exist). Files are named after
+ * the attachments, see {@link safeFileName}; duplicated names (and names of
+ * files, which are already in the directory) get the ` (1)`, ` (2)`, etc.
+ * suffix, so existing files are not overwritten.
+ *
+ * @param  {Freshdesk}  client    Client
+ * @param  {Number}     ticketId  ID of the ticket
+ * @param  {String}     dir       Path of the directory
+ * @param  {DownloadOptions}  [options]  Per-call options, applied to every API call and download
+ * @return {Promise<Array.<DownloadedAttachment>>}  Downloaded attachments
+ */
+async function downloadTicketAttachments(client, ticketId, dir, options) {
+	if (!isNode || typeof dir !== "string" || dir === "") {
+		throw new TypeError(
+			"dir should be a path of the directory (Node only)"
+		);
+	}
+
+	const path = require("path");
+	const fs = require("fs");
+
+	const callOptions = {
+		timeout: options && options.timeout,
+		signal: options && options.signal,
+	};
+
+	const ticket = await client.getTicket(ticketId, callOptions);
+	const sources = [{ conversationId: null, attachments: ticket.attachments }];
+
+	let conversations = await client.listAllConversations(
+		ticketId,
+		callOptions
+	);
+	while (conversations) {
+		conversations.forEach((conversation) =>
+			sources.push({
+				conversationId: conversation.id,
+				attachments: conversation.attachments,
+			})
+		);
+		conversations = await client.nextPage(conversations.extra, callOptions);
+	}
+
+	await fs.promises.mkdir(dir, { recursive: true });
+
+	const existing = await fs.promises.readdir(dir);
+	const used = new Set(existing.map((name) => name.toLowerCase()));
+	const downloaded = [];
+
+	for (const source of sources) {
+		for (const attachment of source.attachments || []) {
+			const name = uniqueFileName(
+				safeFileName(attachment.name, `attachment-${attachment.id}`),
+				used
+			);
+			const result = await downloadAttachment(
+				client,
+				attachment,
+				path.join(dir, name),
+				callOptions
+			);
+
+			result.conversationId = source.conversationId;
+			downloaded.push(result);
+		}
+	}
+
+	return downloaded;
+}
+
+module.exports.safeFileName = safeFileName;
+module.exports.downloadAttachment = downloadAttachment;
+module.exports.downloadTicketAttachments = downloadTicketAttachments;
@@ -0,0 +1,289 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2018 Arjun Komath <arjunkomath@gmail.com>
+Copyright (C) 2016-2018 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+/**
+ * Inline images of HTML descriptions and conversations.
+ *
+ * @module
+ */
+
+"use strict";
+
+const debug = require("debug")("freshdesk-api");
+const isNode = require("./platform").isNode;
+
+/**
+ * Settings of the inline images.
+ *
+ * @typedef  {Object}  InlineImagesOptions
+ * @property {Object}  [images]   Images by the `src`, for example `{ "logo.png": buffer }`,
+ * values are attachments in any supported form (`Buffer`, `Blob`, `{ content, filename }`, etc.)
+ * @property {String}  [baseDir]  Directory, relative paths are resolved from, the current one by default.
+ * Paths, which lead outside of it, are rejected
+ * @property {Boolean} [allowAbsolutePaths=false]  Allow absolute paths and `file:` URLs, which could
+ * reference any file: enable it only for trusted HTML
+ */
+
+/**
+ * `src` attributes of `<img>` tags: prefix, quote and value.
+ *
+ * @private
+ */
+const IMG_SRC = /(<img\b[^>]*?\ssrc\s*=\s*)(["'])([^"']*)\2/gi;
+
+/**
+ * Decodes the `data:` URI of an image.
+ *
+ * @private
+ *
+ * @param  {String}  src    `data:image/png;base64,...`
+ * @param  {Number}  index  Position of the image in the HTML
+ * @return {Object}         Attachment `{ content, filename, contentType }`
+ */
+function decodeDataUri(src, index) {
+	const match = /^data:([^;,]+)?((?:;[^;,]*)*?)(;base64)?,(.*)$/i.exec(src);
+	if (!match) {
+		throw new TypeError(
+			`Invalid data URI of the inline image #${index + 1}`
+		);
+	}
+
+	const contentType = match[1] || "application/octet-stream";
+	let content;
+	if (match[3] && typeof Buffer !== "undefined") {
+		// `atob` is not available in older Node versions
+		content = Buffer.from(match[4], "base64");
+	} else {
+		const text = match[3] ? atob(match[4]) : decodeURIComponent(match[4]);
+		content = new Uint8Array(text.length);
+		for (let i = 0; i < text.length; i++) {
+			content[i] = text.charCodeAt(i) & 0xff;
+		}
+	}
+
+	const ext = contentType.split("/")[1] || "bin";
+	return {
+		content: content,
+		filename: `image-${index + 1}.${ext.replace(/\W.*$/, "")}`,
+		contentType: contentType,
+	};
+}
+
+/**
+ * Resolves the image, referenced by the `src` attribute.
+ *
+ * @private
+ *
+ * @param  {String}  src                  Value of the `src` attribute
+ * @param  {Number}  index                Position of the image in the HTML
+ * @param  {InlineImagesOptions}  options  Settings
+ * @return {?AttachmentInput}  Image to upload, `null` for hosted images
+ */
+function resolveImage(src, index, options) {
+	const images = options.images || {};
+	if (Object.prototype.hasOwnProperty.call(images, src)) {
+		return images[src];
+	}
+
+	if (/^(https?:|cid:|\/\/)/i.test(src) || src === "") {
+		return null;
+	}
+
+	if (/^data:/i.test(src)) {
+		return decodeDataUri(src, index);
+	}
+
+	if (!isNode) {
+		throw new TypeError(
+			`Inline image "${src}" is not found in the images option`
+		);
+	}
+
+	const path = require("path");
+	const fileUrl = /^file:/i.test(src);
+	const decoded = fileUrl ? src : decodeURI(src);
+
+	// the HTML is often written by end users, so by default only files of
+	// the `baseDir` could be uploaded
+	if (fileUrl || path.isAbsolute(decoded)) {
+		if (!options.allowAbsolutePaths) {
+			throw new TypeError(
+				`Inline image "${src}" is an absolute path, enable the allowAbsolutePaths option to upload it`
+			);
+		}
+
+		return {
+			path: fileUrl ? require("url").fileURLToPath(src) : decoded,
+		};
+	}
+
+	const baseDir = path.resolve(options.baseDir || process.cwd());
+	const file = path.resolve(baseDir, decoded);
+	const relative = path.relative(baseDir, file);
+	if (
+		relative === "" ||
+		relative.split(path.sep)[0] === ".." ||
+		path.isAbsolute(relative)
+	) {
+		throw new TypeError(
+			`Inline image "${src}" is outside of the baseDir directory`
+		);
+	}
+
+	return { path: file };
+}
+
+/**
+ * Uploads local images of the HTML as inline images, and points the `<img>`
+ * tags to the uploaded ones.
+ *
+ * Images are referenced by paths (relative to the `baseDir`, and not leading
+ * outside of it), `data:` URIs or by the keys of the `images` option;
+ * absolute paths and `file:` URLs only with the `allowAbsolutePaths` option.
+ * Hosted images (`http:`, `https:`) are kept as is. Every image is uploaded
+ * once, even when it is referenced several times.
+ *
+ * @param  {Freshdesk}  client   Client
+ * @param  {String}     html     HTML
+ * @param  {InlineImagesOptions}  [options]  Settings
+ * @param  {Object}     [callOptions]  Per-call options of the uploads: `{ timeout, signal }`
+ * @return {Promise<{html: String, ids: Array.<Number>}>}
+ * Rewritten HTML, and IDs of the uploaded images (for `inline_attachment_ids`)
+ */
+async function embedInlineImages(client, html, options, callOptions) {
+	options = options || {};
+	callOptions = callOptions || {};
+
+	if (typeof html !== "string") {
+		return { html: html, ids: [] };
+	}
+
+	// every image is resolved before the first upload
+	const images = new Map();
+	const matches = Array.from(html.matchAll(IMG_SRC));
+	matches.forEach((match) => {
+		const src = match[3];
+		if (!images.has(src)) {
+			const image = resolveImage(src, images.size, options);
+			if (image) {
+				images.set(src, { image: image, uploaded: null });
+			}
+		}
+	});
+
+	const ids = [];
+	try {
+		for (const entry of images.values()) {
+			entry.uploaded = await client.uploadInlineImage(
+				entry.image,
+				callOptions
+			);
+			ids.push(entry.uploaded.id);
+		}
+	} catch (error) {
+		await removeInlineImages(client, ids, callOptions);
+		throw error;
+	}
+
+	debug("Uploaded [%d] inline images", ids.length);
+
+	return {
+		html: html.replace(IMG_SRC, (tag, prefix, quote, src) => {
+			const entry = images.get(src);
+			if (!entry) {
+				return tag;
+			}
+
+			const uploaded = entry.uploaded;
+			const url = uploaded.inline_url || uploaded.attachment_url;
+			return `${prefix}${quote}${url}${quote} data-id=${quote}${uploaded.id}${quote}`;
+		}),
+		ids: ids,
+	};
+}
+
+/**
+ * Deletes the uploaded inline images (when the ticket or the reply is not
+ * created), ignoring errors.
+ *
+ * @param  {Freshdesk}      client  Client
+ * @param  {Array.<Number>} ids     IDs of the images
+ * @param  {Object}         callOptions  Per-call options of the deletions: `{ timeout, signal }`
+ * @return {Promise}                Resolved, when all images are processed
+ */
+function removeInlineImages(client, ids, callOptions) {
+	return Promise.all(
+		ids.map((id) =>
+			client.deleteAttachment(id, callOptions).catch((error) => {
+				debug("Inline image [%s] is not deleted: %s", id, error);
+			})
+		)
+	);
+}
+
+/**
+ * Sends the entity with the HTML field (`description` of a ticket, `body` of
+ * a reply), uploading its local images first, see {@link embedInlineImages}.
+ * Uploaded images are deleted, when the entity is not created.
+ *
+ * @param  {Freshdesk}  client  Client
+ * @param  {Object}     data    Entity
+ * @param  {String}     field   Name of the HTML field
+ * @param  {InlineImagesOptions}  options  Settings
+ * @param  {Function}   send    Called as `send(data, callOptions)` with the rewritten entity, returns a promise
+ * @param  {Object}     [callOptions]  Per-call options of every API call: `{ timeout, signal }`
+ * @return {Promise<*>}         Result of the `send`
+ */
+async function sendWithInlineImages(
+	client,
+	data,
+	field,
+	options,
+	send,
+	callOptions
+) {
+	callOptions = callOptions || {};
+
+	const embedded = await embedInlineImages(
+		client,
+		data[field],
+		options,
+		callOptions
+	);
+	if (embedded.ids.length === 0) {
+		return send(data, callOptions);
+	}
+
+	const rewritten = Object.assign({}, data, {
+		[field]: embedded.html,
+		inline_attachment_ids: (data.inline_attachment_ids || []).concat(
+			embedded.ids
+		),
+	});
+
+	try {
+		return await send(rewritten, callOptions);
+	} catch (error) {
+		await removeInlineImages(client, embedded.ids, callOptions);
+		throw error;
+	}
+}
+
+module.exports.embedInlineImages = embedInlineImages;
+module.exports.sendWithInlineImages = sendWithInlineImages;
@@ -0,0 +1,349 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2018 Arjun Komath <arjunkomath@gmail.com>
+Copyright (C) 2016-2018 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+/**
+ * Auto-pagination of the list endpoints, see {@link module:pagination~paginate},
+ * and of the search endpoints, see {@link module:pagination~paginateSearch}.
+ *
+ * @module
+ */
+
+"use strict";
+
+const debug = require("debug")("freshdesk-api");
+const isNil = require("./utils").isNil;
+const MAX_QUERY_LENGTH = require("./query").MAX_QUERY_LENGTH;
+
+/**
+ * Settings of the auto-pagination.
+ *
+ * @typedef  {Object}       PaginateOptions
+ * @property {Number}       [limit]    Max items to yield, all items by default
+ * @property {Number}       [timeout]  Timeout (ms) of every page request
+ * @property {AbortSignal}  [signal]   Signal, which aborts the page requests
+ */
+
+/**
+ * Iterates over the items of all pages of a list endpoint.
+ *
+ * Pages are requested one by one, when the previous page is consumed. The
+ * iteration stops on the last page (reported by the `Link` header), on an
+ * empty page, or when the `limit` is reached. Breaking the `for await` loop
+ * stops it too: the next page is not requested.
+ *
+ * @param  {Function}         fetchPage  List method, called as `fetchPage(params, callOptions)`
+ * @param  {Object}           [params]   Parameters of the list method, `page` is the first page to fetch
+ * @param  {PaginateOptions}  [options]  Settings of the iteration
+ * @return {AsyncGenerator<Object>}      Items of the pages
+ */
+async function* paginate(fetchPage, params, options) {
+	params = params || {};
+	options = options || {};
+
+	const limit = options.limit;
+	const callOptions = { timeout: options.timeout, signal: options.signal };
+	let page = params.page || 1;
+	let count = 0;
+
+	while (isNil(limit) || count < limit) {
+		debug("Auto-pagination: fetching page %d", page);
+
+		const data = await fetchPage(
+			Object.assign({}, params, { page: page }),
+			callOptions
+		);
+
+		for (const item of data) {
+			yield item;
+			count++;
+
+			if (count === limit) {
+				return;
+			}
+		}
+
+		if (data.length === 0 || !data.extra || data.extra.pageIsLast) {
+			return;
+		}
+
+		page = data.extra.nextPage || page + 1;
+	}
+}
+
+/**
+ * Search endpoints return 30 results per page, and 10 pages at most.
+ *
+ * @private
+ */
+const SEARCH_PAGE_SIZE = 30;
+const SEARCH_MAX_PAGES = 10;
+const SEARCH_MAX_RESULTS = SEARCH_PAGE_SIZE * SEARCH_MAX_PAGES;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Default start of the `created_at` range, used to split search queries.
+ *
+ * @private
+ */
+const DEFAULT_SEARCH_FROM = "2010-01-01";
+
+/**
+ * Settings of the search auto-pagination.
+ *
+ * @typedef  {Object}       PaginateSearchOptions
+ * @property {Number}       [limit]    Max items to yield, all items by default
+ * @property {Date|String}  [from]     Start of the `created_at` range, used to split the query, defaults to `2010-01-01`.
+ * Older results are fetched with the first window
+ * @property {Date|String}  [to]       End of the `created_at` range, used to split the query, defaults to today.
+ * Newer results are fetched with the last window
+ * @property {Number}       [timeout]  Timeout (ms) of every page request
+ * @property {AbortSignal}  [signal]   Signal, which aborts the page requests
+ */
+
+/**
+ * Converts the date to the number of the day (UTC) since the epoch.
+ *
+ * @private
+ *
+ * @param  {Date|String}  date  Date, or a string like `2020-01-31`
+ * @return {Number}             Day number
+ */
+function dayOf(date) {
+	const time = new Date(date).getTime();
+	if (isNaN(time)) {
+		throw new TypeError(`Invalid date: ${date}`);
+	}
+
+	return Math.floor(time / DAY);
+}
+
+/**
+ * Formats the day number for the search query.
+ *
+ * @private
+ *
+ * @param  {Number}  day  Day number, see `dayOf`
+ * @return {String}       Date like `2020-01-31`
+ */
+function formatDay(day) {
+	return new Date(day * DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * `created_at` window of the split search query. Both bounds are inclusive,
+ * the first window has no lower bound, and the last one has no upper bound,
+ * so results, created outside of the `from`-`to` range, are not lost.
+ *
+ * @private
+ *
+ * @typedef  {Object}   SearchWindow
+ * @property {Number}   start      First day of the window
+ * @property {Number}   end        Last day of the window
+ * @property {Boolean}  openStart  Whether the window has no lower bound
+ * @property {Boolean}  openEnd    Whether the window has no upper bound
+ */
+
+/**
+ * Narrows the search query to the `created_at` window.
+ *
+ * @private
+ *
+ * @param  {String}        query   Search query
+ * @param  {SearchWindow}  window  Window
+ * @return {String}                Search query
+ */
+function windowQuery(query, window) {
+	let text = `(${query})`;
+	if (!window.openStart) {
+		text += ` AND created_at:>'${formatDay(window.start)}'`;
+	}
+	if (!window.openEnd) {
+		text += ` AND created_at:<'${formatDay(window.end)}'`;
+	}
+
+	return text;
+}
+
+/**
+ * Describes the days of the window for error messages.
+ *
+ * @private
+ *
+ * @param  {SearchWindow}  window  Window of a single day
+ * @return {String}                For example ` created on 2020-01-31`, empty for the whole range
+ */
+function describeWindow(window) {
+	const day = formatDay(window.start);
+	if (window.openStart && window.openEnd) {
+		return "";
+	}
+
+	if (window.openStart || window.openEnd) {
+		return ` created on or ${window.openStart ? "before" : "after"} ${day}`;
+	}
+
+	return ` created on ${day}`;
+}
+
+/**
+ * Yields at most `limit` items of the iterator.
+ *
+ * @private
+ *
+ * @param  {AsyncIterable}  iterable  Items
+ * @param  {Number}         [limit]   Max items, all items by default
+ * @return {AsyncGenerator<Object>}   Items
+ */
+async function* take(iterable, limit) {
+	if (!isNil(limit) && limit <= 0) {
+		return;
+	}
+
+	let count = 0;
+	for await (const item of iterable) {
+		yield item;
+		count++;
+
+		if (count === limit) {
+			return;
+		}
+	}
+}
+
+/**
+ * Iterates over all results of a search query.
+ *
+ * The search endpoints return 300 results at most (10 pages of 30). When
+ * the `total` of the query exceeds this cap, the query is split into
+ * `created_at` windows (halved until every window fits the cap), and the
+ * windows are walked in chronological order. The windowed query is longer,
+ * so the query should be short enough to be split: otherwise a `RangeError`
+ * is thrown before the first request.
+ *
+ * Pages are requested one by one, when the previous page is consumed.
+ * Breaking the `for await` loop stops the iteration.
+ *
+ * @param  {Function}               fetchPage  Filter method, called as `fetchPage(query, page, callOptions)`
+ * @param  {String}                 query      Search query
+ * @param  {PaginateSearchOptions}  [options]  Settings of the iteration
+ * @return {AsyncGenerator<Object>}            Search results
+ */
+function paginateSearch(fetchPage, query, options) {
+	options = options || {};
+
+	const callOptions = { timeout: options.timeout, signal: options.signal };
+	const search = (q, page) => {
+		debug("Search auto-pagination: fetching page %d of [%s]", page, q);
+		return fetchPage(q, page, callOptions);
+	};
+
+	async function* walk(q, data) {
+		for (let page = 1; ; page++) {
+			if (page > 1) {
+				data = await search(q, page);
+			}
+
+			const results = data.results || [];
+			yield* results;
+
+			if (
+				results.length === 0 ||
+				page * SEARCH_PAGE_SIZE >= data.total ||
+				page >= SEARCH_MAX_PAGES
+			) {
+				return;
+			}
+		}
+	}
+
+	async function* walkAll() {
+		const start = dayOf(options.from || DEFAULT_SEARCH_FROM);
+		const end = dayOf(options.to || Date.now());
+
+		// the longest window has both bounds
+		const longest = windowQuery(query, {
+			start: start,
+			end: end,
+			openStart: false,
+			openEnd: false,
+		});
+		if (longest.length > MAX_QUERY_LENGTH) {
+			throw new RangeError(
+				`Search query is too long to be split by created_at: ${longest.length} characters, max is ${MAX_QUERY_LENGTH}`
+			);
+		}
+
+		const first = await search(query, 1);
+		if (first.total <= SEARCH_MAX_RESULTS) {
+			yield* walk(query, first);
+			return;
+		}
+
+		const windows = [
+			{
+				start: start,
+				end: Math.max(start, end),
+				openStart: true,
+				openEnd: true,
+			},
+		];
+
+		// the first page of the whole range is already fetched
+		let known = first;
+
+		while (windows.length > 0) {
+			const window = windows.shift();
+			const q = windowQuery(query, window);
+			const data = known || (await search(q, 1));
+			known = null;
+
+			if (data.total <= SEARCH_MAX_RESULTS) {
+				yield* walk(q, data);
+			} else if (window.start < window.end) {
+				const middle = Math.floor((window.start + window.end) / 2);
+				windows.unshift(
+					{
+						start: window.start,
+						end: middle,
+						openStart: window.openStart,
+						openEnd: false,
+					},
+					{
+						start: middle + 1,
+						end: window.end,
+						openStart: false,
+						openEnd: window.openEnd,
+					}
+				);
+			} else {
+				const days = describeWindow(window);
+				throw new Error(
+					`Search query matches ${data.total} results${days}: ` +
+						`only ${SEARCH_MAX_RESULTS} results per day could be fetched, narrow the query`
+				);
+			}
+		}
+	}
+
+	return take(walkAll(), options.limit);
+}
+
+module.exports.paginate = paginate;
+module.exports.paginateSearch = paginateSearch;
@@ -0,0 +1,87 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2018 Arjun Komath <arjunkomath@gmail.com>
+Copyright (C) 2016-2018 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+/**
+ * Differences between Node and other runtimes (browsers, Deno, Bun,
+ * Cloudflare Workers). Node-only packages are required lazily, so the
+ * library could be loaded where they are not available.
+ *
+ * @module
+ */
+
+"use strict";
+
+/**
+ * Whether the library runs in Node (or in a runtime, compatible with Node
+ * modules, like Bun), and not in a browser.
+ *
+ * @type {Boolean}
+ */
+const isNode =
+	typeof process !== "undefined" &&
+	!!process.versions &&
+	!!process.versions.node &&
+	typeof window === "undefined";
+
+/**
+ * Encodes the text (as UTF-8) to base64.
+ *
+ * @param  {String}  text  Text
+ * @return {String}        Base64
+ */
+function base64(text) {
+	if (typeof Buffer !== "undefined") {
+		return Buffer.from(text, "utf-8").toString("base64");
+	}
+
+	// `btoa` accepts only Latin-1, so the text is converted to UTF-8 bytes first
+	const bytes = new TextEncoder().encode(text);
+	let binary = "";
+	for (let i = 0; i < bytes.length; i++) {
+		binary += String.fromCharCode(bytes[i]);
+	}
+
+	return btoa(binary);
+}
+
+/**
+ * Creates the multipart form for the request body.
+ *
+ * @param  {Boolean}  native  Use the native `FormData`, otherwise the `form-data` package
+ * (Node streams could be appended to the latter only)
+ * @return {FormData}         Empty form
+ */
+function createFormData(native) {
+	if (native) {
+		if (typeof FormData === "undefined") {
+			throw new TypeError(
+				"FormData is not available in this runtime, attachments could not be sent"
+			);
+		}
+
+		return new FormData();
+	}
+
+	const NodeFormData = require("form-data");
+	return new NodeFormData();
+}
+
+module.exports.isNode = isNode;
+module.exports.base64 = base64;
+module.exports.createFormData = createFormData;
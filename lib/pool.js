@@ -0,0 +1,266 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2018 Arjun Komath <arjunkomath@gmail.com>
+Copyright (C) 2016-2018 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+/**
+ * Clients for many Freshdesk accounts, see {@link module:pool~FreshdeskPool}.
+ *
+ * @module
+ */
+
+"use strict";
+
+const debug = require("debug")("freshdesk-api");
+const parseBaseUrl = require("./utils").parseBaseUrl;
+
+/**
+ * Normalizes the domain of the account, so the same account always has the
+ * same key in the pool.
+ *
+ * @private
+ *
+ * @param  {String}  domain  `acme`, `acme.freshdesk.com` or `https://acme.freshdesk.com/`
+ * @return {String}          Domain like `acme.freshdesk.com`
+ */
+function domainKey(domain) {
+	return parseBaseUrl(domain).domain;
+}
+
+/**
+ * Usage of the account, collected by the pool.
+ *
+ * @typedef  {Object}  TenantStats
+ * @property {String}  domain            Domain of the account
+ * @property {Number}  requests          Completed API calls
+ * @property {Number}  errors            Failed API calls
+ * @property {Number}  rateLimitErrors   API calls, failed with `429 Too Many Requests`
+ * @property {Number}  elapsed           Total duration (ms) of the API calls
+ * @property {?Date}   lastRequestAt     When the last API call was completed
+ * @property {?Object} rateLimit         The latest rate limit state, reported by the API
+ */
+
+/**
+ * Pool of clients for many Freshdesk accounts.
+ *
+ * Clients are created lazily, on the first {@link FreshdeskPool#get} of the
+ * domain, with credentials, loaded by the `provider`. Every client has its
+ * own throttling budget (the `throttle` option), because Freshdesk limits
+ * every account separately.
+ *
+ * @example
+ * const pool = new Freshdesk.FreshdeskPool(
+ *     (domain) => db.loadCredentials(domain), // { apiKey: "..." }
+ *     { clientOptions: { throttle: { requestsPerMinute: 200 } } }
+ * );
+ *
+ * const client = await pool.get("acme");
+ * const tickets = await client.listAllTickets();
+ *
+ * @param {Function}  provider  Called as `provider(domain)`, returns (a promise of) the credentials
+ * of the account (see the `auth` of {@link Freshdesk}), or `{ auth, options }` to override
+ * the client options of the account
+ * @param {Object}    [options]                Pool settings
+ * @param {Object}    [options.clientOptions]  Options of every client, see {@link Freshdesk}
+ */
+class FreshdeskPool {
+	constructor(provider, options) {
+		if (typeof provider !== "function") {
+			throw new TypeError("Credentials provider should be a function");
+		}
+
+		this._provider = provider;
+		this._options = Object.assign({ clientOptions: {} }, options);
+		this._clients = new Map();
+		this._stats = new Map();
+	}
+
+	/**
+	 * Returns the client of the account, creating it on the first call.
+	 *
+	 * The client is created with the canonical URL (see `parseBaseUrl`), so
+	 * the protocol, the port and the path are kept; the host is the key.
+	 *
+	 * @param  {String}  domain  Domain of the account: `acme`, `acme.freshdesk.com` or `https://acme.freshdesk.com`
+	 * @return {Promise<Freshdesk>}  Client
+	 */
+	get(domain) {
+		let parsed;
+		try {
+			parsed = parseBaseUrl(domain);
+		} catch (error) {
+			return Promise.reject(error);
+		}
+
+		const key = parsed.domain;
+
+		if (!this._clients.has(key)) {
+			debug("Pool: loading credentials of [%s]", key);
+
+			const client = Promise.resolve()
+				.then(() => this._provider(key))
+				.then((credentials) =>
+					this._createClient(key, parsed.baseUrl, credentials)
+				)
+				.catch((error) => {
+					// don't cache failures, the next call loads credentials again
+					// (unless the client was removed and requested again meanwhile)
+					if (this._clients.get(key) === client) {
+						this._clients.delete(key);
+					}
+					throw error;
+				});
+
+			this._clients.set(key, client);
+		}
+
+		return this._clients.get(key);
+	}
+
+	/**
+	 * Checks if the client of the account is created (or being created).
+	 *
+	 * @param  {String}  domain  Domain of the account
+	 * @return {Boolean}
+	 */
+	has(domain) {
+		return this._clients.has(domainKey(domain));
+	}
+
+	/**
+	 * Removes the client of the account, so the next {@link FreshdeskPool#get}
+	 * loads the credentials again. Usage stats are kept.
+	 *
+	 * @param  {String}  domain  Domain of the account
+	 * @return {Boolean}         `true`, when the client was in the pool
+	 */
+	remove(domain) {
+		return this._clients.delete(domainKey(domain));
+	}
+
+	/**
+	 * Removes all clients and usage stats.
+	 */
+	clear() {
+		this._clients.clear();
+		this._stats.clear();
+	}
+
+	/**
+	 * @return {Array.<String>}  Domains of the accounts in the pool
+	 */
+	domains() {
+		return Array.from(this._clients.keys());
+	}
+
+	/**
+	 * Returns the usage stats of the account, or of all accounts.
+	 *
+	 * @param  {String}  [domain]  Domain of the account
+	 * @return {TenantStats|Array.<TenantStats>}  Stats (copies), `null` for an unknown account
+	 */
+	stats(domain) {
+		if (domain === undefined) {
+			return Array.from(this._stats.values()).map(copyStats);
+		}
+
+		const stats = this._stats.get(domainKey(domain));
+		return stats ? copyStats(stats) : null;
+	}
+
+	/**
+	 * @private
+	 *
+	 * @param  {String}  key          Domain of the account
+	 * @param  {String}  baseUrl      Canonical URL of the account (with the protocol, the port and the path)
+	 * @param  {*}       credentials  Result of the provider
+	 * @return {Freshdesk}            Client
+	 */
+	_createClient(key, baseUrl, credentials) {
+		// the client module requires this one, so it is required lazily
+		const Freshdesk = require("./client");
+
+		let auth = credentials;
+		let clientOptions = this._options.clientOptions;
+
+		if (
+			credentials &&
+			typeof credentials === "object" &&
+			"auth" in credentials
+		) {
+			auth = credentials.auth;
+			clientOptions = Object.assign(
+				{},
+				clientOptions,
+				credentials.options
+			);
+		}
+
+		const client = new Freshdesk(baseUrl, auth, clientOptions);
+
+		if (!this._stats.has(key)) {
+			this._stats.set(key, {
+				domain: key,
+				requests: 0,
+				errors: 0,
+				rateLimitErrors: 0,
+				elapsed: 0,
+				lastRequestAt: null,
+				rateLimit: null,
+			});
+		}
+
+		const stats = this._stats.get(key);
+		client.use((request, next) => {
+			const startedAt = Date.now();
+
+			return next().then((result) => {
+				stats.requests++;
+				stats.elapsed += Date.now() - startedAt;
+				stats.lastRequestAt = new Date();
+				stats.rateLimit = client.rateLimit;
+
+				if (result.error) {
+					stats.errors++;
+
+					if (
+						result.error instanceof
+						Freshdesk.FreshdeskRateLimitError
+					) {
+						stats.rateLimitErrors++;
+					}
+				}
+
+				return result;
+			});
+		});
+
+		return client;
+	}
+}
+
+/**
+ * @private
+ *
+ * @param  {TenantStats}  stats  Stats
+ * @return {TenantStats}         Copy of the stats
+ */
+function copyStats(stats) {
+	return Object.assign({}, stats);
+}
+
+module.exports.FreshdeskPool = FreshdeskPool;
@@ -0,0 +1,319 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2018 Arjun Komath <arjunkomath@gmail.com>
+Copyright (C) 2016-2018 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+/**
+ * Query builder for the search endpoints (`filterTickets`, `filterContacts`,
+ * `filterCompanies`).
+ *
+ * @example
+ * const q = Freshdesk.q;
+ *
+ * const query = q
+ *     .field("status").eq(2)
+ *     .and(q.field("priority").gte(3))
+ *     .and(q.field("created_at").gte(new Date("2020-01-01")));
+ * // status:2 AND priority:>3 AND created_at:>'2020-01-01'
+ *
+ * @see {@link https://developers.freshdesk.com/api/#filter_tickets}
+ *
+ * @module
+ */
+
+"use strict";
+
+/**
+ * Max length of the search query, allowed by Freshdesk.
+ *
+ * @private
+ */
+const MAX_QUERY_LENGTH = 512;
+
+/**
+ * Formats the value of a condition.
+ *
+ * Strings and dates are quoted with single quotes, numbers, booleans and
+ * `null` are not.
+ *
+ * @private
+ *
+ * @param  {String|Number|Boolean|Date|null}  value  Value of the condition
+ * @return {String}                                   Formatted value
+ */
+function formatValue(value) {
+	if (value === null) {
+		return "null";
+	}
+
+	if (typeof value === "boolean") {
+		return String(value);
+	}
+
+	if (typeof value === "number") {
+		if (!isFinite(value)) {
+			throw new TypeError(`Invalid number in the query: ${value}`);
+		}
+
+		return String(value);
+	}
+
+	if (value instanceof Date) {
+		if (isNaN(value.getTime())) {
+			throw new TypeError("Invalid date in the query");
+		}
+
+		return `'${value.toISOString().slice(0, 10)}'`;
+	}
+
+	if (typeof value === "string") {
+		// Freshdesk doesn't support escaping of quotes
+		if (value.indexOf("'") !== -1) {
+			throw new TypeError(
+				`Single quotes are not supported in the query values: ${value}`
+			);
+		}
+
+		return `'${value}'`;
+	}
+
+	throw new TypeError(`Unsupported value in the query: ${value}`);
+}
+
+/**
+ * Formats the bound of a range condition: only numbers and dates could be
+ * compared.
+ *
+ * @private
+ *
+ * @param  {Number|Date|String}  value  Number, date, or a string like `2020-01-31`
+ * @return {String}                     Formatted value
+ */
+function formatBound(value) {
+	if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+		return `'${value}'`;
+	}
+
+	if (typeof value !== "number" && !(value instanceof Date)) {
+		throw new TypeError(
+			`Only numbers and dates could be compared in the query: ${value}`
+		);
+	}
+
+	return formatValue(value);
+}
+
+/**
+ * Search query: a condition, or a group of queries, joined with `AND` or `OR`.
+ *
+ * Instances are immutable, `and()` and `or()` return new queries.
+ *
+ * @param {?String}                 operator  `AND`, `OR`, or `null` for a condition
+ * @param {Array.<String|Query>}    parts     Text of the condition, or the grouped queries
+ */
+class Query {
+	constructor(operator, parts) {
+		this.operator = operator;
+		this.parts = parts;
+	}
+
+	/**
+	 * @param  {...Query}  queries  Queries to join
+	 * @return {Query}              `this AND queries...`
+	 */
+	and(...queries) {
+		return combine("AND", [this].concat(queries));
+	}
+
+	/**
+	 * @param  {...Query}  queries  Queries to join
+	 * @return {Query}              `this OR queries...`
+	 */
+	or(...queries) {
+		return combine("OR", [this].concat(queries));
+	}
+
+	/**
+	 * @return {String}  Query, as expected by Freshdesk (not encoded)
+	 */
+	toString() {
+		if (!this.operator) {
+			return this.parts[0];
+		}
+
+		return this.parts
+			.map((part) =>
+				part.operator && part.operator !== this.operator
+					? `(${part})`
+					: String(part)
+			)
+			.join(` ${this.operator} `);
+	}
+}
+
+/**
+ * Joins the queries, flattening the nested groups with the same operator.
+ *
+ * @private
+ *
+ * @param  {String}          operator  `AND` or `OR`
+ * @param  {Array.<Query>}   queries   Queries to join
+ * @return {Query}                     Joined query
+ */
+function combine(operator, queries) {
+	const parts = [];
+
+	queries.forEach((query) => {
+		if (!(query instanceof Query)) {
+			throw new TypeError(
+				"Only queries, built with `q`, could be combined"
+			);
+		}
+
+		if (query.operator === operator) {
+			parts.push.apply(parts, query.parts);
+		} else {
+			parts.push(query);
+		}
+	});
+
+	if (parts.length === 1) {
+		return parts[0];
+	}
+
+	return new Query(operator, parts);
+}
+
+/**
+ * A field of the searched entity, builds conditions with the operators,
+ * supported by Freshdesk.
+ *
+ * @param {String}  name  Name of the field, for example `status` or `cf_region`
+ */
+class Field {
+	constructor(name) {
+		if (typeof name !== "string" || !/^[a-z_][a-z0-9_]*$/i.test(name)) {
+			throw new TypeError(`Invalid field name in the query: ${name}`);
+		}
+
+		this.name = name;
+	}
+
+	/**
+	 * @param  {String|Number|Boolean|Date|null}  value  Value
+	 * @return {Query}                                    `field:value`
+	 */
+	eq(value) {
+		return new Query(null, [`${this.name}:${formatValue(value)}`]);
+	}
+
+	/**
+	 * @param  {Number|Date|String}  value  Number or date
+	 * @return {Query}                      `field:>value`, greater than or equal to
+	 */
+	gte(value) {
+		return new Query(null, [`${this.name}:>${formatBound(value)}`]);
+	}
+
+	/**
+	 * @param  {Number|Date|String}  value  Number or date
+	 * @return {Query}                      `field:<value`, less than or equal to
+	 */
+	lte(value) {
+		return new Query(null, [`${this.name}:<${formatBound(value)}`]);
+	}
+
+	/**
+	 * @return {Query}  `field:null`, the field is empty
+	 */
+	isNull() {
+		return this.eq(null);
+	}
+
+	/**
+	 * @param  {Array}  values  Values
+	 * @return {Query}          `field:value1 OR field:value2 ...`
+	 */
+	in(values) {
+		if (!Array.isArray(values) || values.length === 0) {
+			throw new TypeError("Non-empty array of values is expected");
+		}
+
+		return combine(
+			"OR",
+			values.map((value) => this.eq(value))
+		);
+	}
+}
+
+/**
+ * Entry point of the query builder.
+ *
+ * @type {Object}
+ */
+const q = {
+	/**
+	 * @param  {String}  name  Name of the field
+	 * @return {Field}         Field, to build a condition
+	 */
+	field: (name) => new Field(name),
+
+	/**
+	 * @param  {...Query}  queries  Queries to join
+	 * @return {Query}              `query1 AND query2 ...`
+	 */
+	and: (...queries) => combine("AND", queries),
+
+	/**
+	 * @param  {...Query}  queries  Queries to join
+	 * @return {Query}              `query1 OR query2 ...`
+	 */
+	or: (...queries) => combine("OR", queries),
+};
+
+/**
+ * Builds the URL of the search endpoint.
+ *
+ * @private
+ *
+ * @param  {String}        url     URL of the search endpoint, for example `https://x.freshdesk.com/api/v2/search/tickets`
+ * @param  {String|Query}  query   Query, raw or built with `q`
+ * @param  {Number}        [page]  Page number
+ * @return {String}                URL with the encoded query
+ */
+function buildSearchUrl(url, query, page) {
+	const text = String(query);
+
+	if (text.length > MAX_QUERY_LENGTH) {
+		throw new RangeError(
+			`Search query is too long: ${text.length} characters, max is ${MAX_QUERY_LENGTH}`
+		);
+	}
+
+	let result = `${url}?query=${encodeURIComponent(`"${text}"`)}`;
+	if (page !== null && typeof page !== "undefined") {
+		result += `&page=${encodeURIComponent(page)}`;
+	}
+
+	return result;
+}
+
+module.exports.q = q;
+module.exports.Query = Query;
+module.exports.Field = Field;
+module.exports.buildSearchUrl = buildSearchUrl;
+module.exports.MAX_QUERY_LENGTH = MAX_QUERY_LENGTH;
@@ -0,0 +1,308 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2018 Arjun Komath <arjunkomath@gmail.com>
+Copyright (C) 2016-2018 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+/**
+ * Validation of search queries against the field schema of the account
+ * (ticket, contact and company fields).
+ *
+ * @module
+ */
+
+"use strict";
+
+/**
+ * Built-in fields, supported by the search endpoints. `choicesOf` is the
+ * name of the schema field, which lists the allowed values.
+ *
+ * @private
+ */
+const BUILTIN_FIELDS = {
+	tickets: {
+		agent_id: { kind: "number" },
+		group_id: { kind: "number" },
+		priority: { kind: "number", choicesOf: "priority" },
+		status: { kind: "number", choicesOf: "status" },
+		tag: { kind: "string" },
+		type: { kind: "string", choicesOf: "ticket_type" },
+		due_by: { kind: "date" },
+		fr_due_by: { kind: "date" },
+		created_at: { kind: "date" },
+		updated_at: { kind: "date" },
+	},
+	contacts: {
+		active: { kind: "boolean" },
+		company_id: { kind: "number" },
+		twitter_id: { kind: "string" },
+		email: { kind: "string" },
+		phone: { kind: "string" },
+		mobile: { kind: "string" },
+		tag: { kind: "string" },
+		language: { kind: "string" },
+		time_zone: { kind: "string" },
+		created_at: { kind: "date" },
+		updated_at: { kind: "date" },
+	},
+	companies: {
+		domain: { kind: "string" },
+		created_at: { kind: "date" },
+		updated_at: { kind: "date" },
+	},
+};
+
+/**
+ * Custom field types, supported by the search endpoints.
+ *
+ * @private
+ */
+const CUSTOM_FIELD_KINDS = {
+	custom_text: "string",
+	custom_dropdown: "string",
+	custom_number: "number",
+	custom_decimal: "number",
+	custom_checkbox: "boolean",
+	custom_date: "date",
+};
+
+/**
+ * Searchable field.
+ *
+ * @typedef  {Object}   SearchField
+ * @property {String}   kind       `number`, `string`, `boolean` or `date`
+ * @property {?Array}   choices    Allowed values, `null` when any value of the `kind` is allowed
+ */
+
+/**
+ * Normalizes the choices of the schema field to the list of allowed values.
+ *
+ * Freshdesk describes choices differently: as an array of strings (ticket
+ * dropdowns), an array of `{ value }` (contact and company dropdowns), or an
+ * object (`status`: IDs to labels, `priority`: labels to IDs).
+ *
+ * @private
+ *
+ * @param  {Array|Object}  choices  Choices of the schema field
+ * @return {?Array}                 Allowed values, or `null`
+ */
+function normalizeChoices(choices) {
+	if (Array.isArray(choices)) {
+		return choices.map((choice) =>
+			choice !== null && typeof choice === "object"
+				? choice.value
+				: choice
+		);
+	}
+
+	if (choices !== null && typeof choices === "object") {
+		const values = Object.keys(choices);
+		Object.keys(choices).forEach((key) => {
+			const value = choices[key];
+			if (typeof value === "number" || typeof value === "string") {
+				values.push(value);
+			}
+		});
+		return values;
+	}
+
+	return null;
+}
+
+/**
+ * Builds the searchable fields of the entity.
+ *
+ * @param  {String}         entity  `tickets`, `contacts` or `companies`
+ * @param  {Array.<Object>} fields  Schema fields, as returned by `listAllTicketFields`, `listAllContactFields` or `listAllCompanyFields`
+ * @return {Object.<String, SearchField>}  Searchable fields by their names
+ */
+function buildSearchFields(entity, fields) {
+	const schema = {};
+	const byName = {};
+
+	(fields || []).forEach((field) => {
+		byName[field.name] = field;
+	});
+
+	const builtins = BUILTIN_FIELDS[entity] || {};
+	Object.keys(builtins).forEach((name) => {
+		const builtin = builtins[name];
+		const source = builtin.choicesOf && byName[builtin.choicesOf];
+
+		schema[name] = {
+			kind: builtin.kind,
+			choices: source ? normalizeChoices(source.choices) : null,
+		};
+	});
+
+	(fields || []).forEach((field) => {
+		const kind = CUSTOM_FIELD_KINDS[field.type];
+		if (!kind || field.default) {
+			return;
+		}
+
+		const searchField = {
+			kind: kind,
+			choices: normalizeChoices(field.choices),
+		};
+
+		// custom fields could be referenced with and without the `cf_` prefix
+		const name = String(field.name).replace(/^cf_/, "");
+		schema[name] = searchField;
+		schema[`cf_${name}`] = searchField;
+	});
+
+	return schema;
+}
+
+/**
+ * Extracts the conditions from the search query.
+ *
+ * @private
+ *
+ * @param  {String}  text  Search query, for example `status:2 AND cf_region:'EU'`
+ * @return {Array.<Object>}  Conditions: `{ field, operator, value, quoted, raw }`
+ */
+function parseConditions(text) {
+	const conditions = [];
+	const pattern = /([a-z_][a-z0-9_]*)\s*:\s*([<>]?)\s*('[^']*'|[^\s()]+)/gi;
+	let match;
+
+	while ((match = pattern.exec(text)) !== null) {
+		const raw = match[3];
+		const quoted = raw[0] === "'";
+		let value = raw;
+
+		if (quoted) {
+			value = raw.slice(1, -1);
+		} else if (raw === "null") {
+			value = null;
+		} else if (raw === "true" || raw === "false") {
+			value = raw === "true";
+		} else if (!isNaN(Number(raw))) {
+			value = Number(raw);
+		}
+
+		conditions.push({
+			field: match[1],
+			operator: match[2],
+			value: value,
+			quoted: quoted,
+			raw: raw,
+		});
+	}
+
+	return conditions;
+}
+
+/**
+ * Checks the value of the condition against the field.
+ *
+ * @private
+ *
+ * @param  {SearchField}  field      Searchable field
+ * @param  {Object}       condition  Condition, see `parseConditions`
+ * @return {?String}                 Error message, or `null` when the value is valid
+ */
+function checkValue(field, condition) {
+	const value = condition.value;
+
+	if (
+		condition.operator &&
+		field.kind !== "number" &&
+		field.kind !== "date"
+	) {
+		return `Operator ':${condition.operator}' is supported only for numbers and dates`;
+	}
+
+	if (value === null && !condition.quoted) {
+		return condition.operator ? "null could not be compared" : null;
+	}
+
+	switch (field.kind) {
+		case "number":
+			if (condition.quoted || typeof value !== "number") {
+				return `It should be a number, got ${condition.raw}`;
+			}
+			break;
+		case "boolean":
+			if (condition.quoted || typeof value !== "boolean") {
+				return `It should be true or false, got ${condition.raw}`;
+			}
+			break;
+		case "date":
+			if (!condition.quoted || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+				return `It should be a quoted date like 'yyyy-mm-dd', got ${condition.raw}`;
+			}
+			break;
+		default:
+			if (!condition.quoted) {
+				return `It should be a quoted string, got ${condition.raw}`;
+			}
+	}
+
+	if (
+		field.choices &&
+		!condition.operator &&
+		field.choices.map(String).indexOf(String(value)) === -1
+	) {
+		return `It should be one of these values: ${field.choices.join(",")}`;
+	}
+
+	return null;
+}
+
+/**
+ * Validates the search query against the searchable fields.
+ *
+ * @param  {String|Query}  query   Search query, raw or built with `q`
+ * @param  {Object.<String, SearchField>}  schema  Searchable fields, see `buildSearchFields`
+ * @return {Array.<{field: String, message: String, code: String}>}
+ * Errors, in the format of the Freshdesk validation errors. Empty, when the query is valid
+ */
+function validateQuery(query, schema) {
+	const errors = [];
+
+	parseConditions(String(query)).forEach((condition) => {
+		const field = schema[condition.field];
+
+		if (!field) {
+			errors.push({
+				field: condition.field,
+				message: "Unknown field, or it is not supported by the search",
+				code: "invalid_field",
+			});
+			return;
+		}
+
+		const message = checkValue(field, condition);
+		if (message) {
+			errors.push({
+				field: condition.field,
+				message: message,
+				code: "invalid_value",
+			});
+		}
+	});
+
+	return errors;
+}
+
+module.exports.buildSearchFields = buildSearchFields;
+module.exports.validateQuery = validateQuery;
+
+// For testing
+module.exports.parseConditions = parseConditions;
@@ -0,0 +1,260 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2018 Arjun Komath <arjunkomath@gmail.com>
+Copyright (C) 2016-2018 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+/**
+ * Client-side request throttling, see {@link module:throttler~Throttler}.
+ *
+ * @module
+ */
+
+"use strict";
+
+const debug = require("debug")("freshdesk-api");
+
+/**
+ * Token bucket: `capacity` tokens, refilled with `requestsPerMinute` rate.
+ *
+ * @private
+ *
+ * @param {Number}  requestsPerMinute  Refill rate
+ * @param {Number}  [capacity]         Max tokens (burst size), defaults to `requestsPerMinute`
+ */
+class TokenBucket {
+	constructor(requestsPerMinute, capacity) {
+		if (!(requestsPerMinute > 0)) {
+			throw new TypeError(
+				"requestsPerMinute should be a positive number"
+			);
+		}
+
+		this.rate = requestsPerMinute / 60000; // tokens per ms
+		this.capacity = Math.max(1, capacity || requestsPerMinute);
+		this.tokens = this.capacity;
+		this.updatedAt = Date.now();
+	}
+
+	refill() {
+		const now = Date.now();
+		this.tokens = Math.min(
+			this.capacity,
+			this.tokens + (now - this.updatedAt) * this.rate
+		);
+		this.updatedAt = now;
+	}
+
+	/**
+	 * @return {Number}  Milliseconds to wait until a token is available
+	 */
+	waitTime() {
+		this.refill();
+		return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.rate);
+	}
+
+	take() {
+		this.tokens -= 1;
+	}
+
+	/**
+	 * Limits available tokens by the server-side remaining quota.
+	 *
+	 * @param {Number}  remaining  Requests, remaining in the current minute
+	 */
+	limit(remaining) {
+		this.refill();
+		this.tokens = Math.min(this.tokens, remaining);
+	}
+}
+
+/**
+ * Throttling settings of the client.
+ *
+ * @typedef  {Object}  ThrottleOptions
+ * @property {Number}  requestsPerMinute   Requests per minute for the whole account
+ * @property {Number}  [burst]             Max requests, sent without delay. Defaults to `requestsPerMinute`
+ * @property {Object}  [ticketsList]       Separate budget for the List All Tickets endpoint: `{ requestsPerMinute, burst }`
+ * @property {Object}  [contactsList]      Separate budget for the List All Contacts endpoint: `{ requestsPerMinute, burst }`
+ */
+
+/**
+ * Queues API calls, so they don't exceed the configured rate.
+ *
+ * Calls to the List All Tickets and List All Contacts endpoints consume
+ * tokens from both the account bucket and the endpoint bucket, because
+ * Freshdesk limits them separately.
+ *
+ * @param {ThrottleOptions}  options  Throttling settings
+ */
+class Throttler {
+	constructor(options) {
+		this.buckets = {
+			account: new TokenBucket(options.requestsPerMinute, options.burst),
+		};
+
+		if (options.ticketsList) {
+			this.buckets.ticketsList = new TokenBucket(
+				options.ticketsList.requestsPerMinute,
+				options.ticketsList.burst
+			);
+		}
+
+		if (options.contactsList) {
+			this.buckets.contactsList = new TokenBucket(
+				options.contactsList.requestsPerMinute,
+				options.contactsList.burst
+			);
+		}
+
+		this.queue = [];
+		this.timer = null;
+	}
+
+	/**
+	 * Waits for the turn of the API call.
+	 *
+	 * A cancelled call leaves the queue without taking tokens.
+	 *
+	 * @param  {String}   method       HTTP method
+	 * @param  {String}   url          URL of the API endpoint
+	 * @param  {Promise}  [cancelled]  `Promise`, resolved when the call is cancelled
+	 * @return {Promise}               `Promise`, resolved when the call could be sent (or is cancelled)
+	 */
+	schedule(method, url, cancelled) {
+		const buckets = [this.buckets.account];
+		const endpoint = this.buckets[endpointOf(method, url)];
+		if (endpoint) {
+			buckets.push(endpoint);
+		}
+
+		return new Promise((resolve) => {
+			const item = { buckets, resolve };
+			this.queue.push(item);
+			this.drain();
+
+			if (cancelled) {
+				cancelled.then(() => this.cancel(item));
+			}
+		});
+	}
+
+	/**
+	 * Removes the queued call, and lets the next calls go.
+	 *
+	 * @private
+	 *
+	 * @param {Object}  item  Queued call
+	 */
+	cancel(item) {
+		const index = this.queue.indexOf(item);
+		if (index === -1) {
+			return;
+		}
+
+		this.queue.splice(index, 1);
+		item.resolve();
+		this.drain();
+	}
+
+	/**
+	 * Adapts the account bucket to the quota, reported by the API.
+	 *
+	 * @param {Object}  rateLimit  Rate limit state, see `utils.parseRateLimit`
+	 */
+	update(rateLimit) {
+		if (rateLimit && typeof rateLimit.remaining === "number") {
+			this.buckets.account.limit(rateLimit.remaining);
+		}
+	}
+
+	/**
+	 * Resolves queued calls, which have tokens in all their buckets.
+	 *
+	 * A call, waiting for a bucket, blocks the next calls to the same bucket
+	 * (so they keep their order), but not calls to other endpoints.
+	 */
+	drain() {
+		if (this.timer) {
+			clearTimeout(this.timer);
+			this.timer = null;
+		}
+
+		const blocked = new Set();
+		let nextWait = Infinity;
+
+		this.queue = this.queue.filter((item) => {
+			if (item.buckets.some((bucket) => blocked.has(bucket))) {
+				return true;
+			}
+
+			const wait = Math.max.apply(
+				null,
+				item.buckets.map((bucket) => bucket.waitTime())
+			);
+
+			if (wait > 0) {
+				item.buckets
+					.filter((bucket) => bucket.waitTime() > 0)
+					.forEach((bucket) => blocked.add(bucket));
+				nextWait = Math.min(nextWait, wait);
+				return true;
+			}
+
+			item.buckets.forEach((bucket) => bucket.take());
+			item.resolve();
+			return false;
+		});
+
+		if (this.queue.length > 0) {
+			debug("Throttling: next request is delayed for %d ms", nextWait);
+			this.timer = setTimeout(() => {
+				this.timer = null;
+				this.drain();
+			}, nextWait);
+		}
+	}
+}
+
+/**
+ * Detects the endpoint with a separate rate limit.
+ *
+ * @private
+ *
+ * @param  {String}  method  HTTP method
+ * @param  {String}  url     URL of the API endpoint
+ * @return {?String}         `ticketsList`, `contactsList` or `null`
+ */
+function endpointOf(method, url) {
+	if (method !== "GET") {
+		return null;
+	}
+
+	const path = url.split("?")[0];
+
+	if (/\/api\/v2\/tickets\/?$/.test(path)) {
+		return "ticketsList";
+	}
+
+	if (/\/api\/v2\/contacts\/?$/.test(path)) {
+		return "contactsList";
+	}
+
+	return null;
+}
+
+module.exports.Throttler = Throttler;
+module.exports.TokenBucket = TokenBucket;
@@ -0,0 +1,240 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2018 Arjun Komath <arjunkomath@gmail.com>
+Copyright (C) 2016-2018 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+/**
+ * HTTP transports, used by the client to send API calls.
+ *
+ * A transport is a function, which receives a normalized request
+ * `{ method, url, headers, params, data, signal, responseType }` and returns a
+ * promise of the normalized response `{ status, headers, data, request: { method, path } }`.
+ * The promise is resolved for any HTTP status, and rejected only when there
+ * is no response at all (network errors, or the request is aborted with the
+ * `signal`).
+ *
+ * The `data` of the response is parsed JSON (or the raw text), unless the
+ * `responseType` is `stream`: then it is the stream of the body, a Node
+ * `Readable` (axios) or a web `ReadableStream` (fetch).
+ *
+ * Transports, which accept only the native `FormData` as the multipart body,
+ * have the `nativeFormData` property set to `true`.
+ *
+ * @module
+ */
+
+"use strict";
+
+const isNode = require("./platform").isNode;
+
+/**
+ * Extracts the path from the URL of the API endpoint.
+ *
+ * @private
+ *
+ * @param  {String}  url  URL of the API endpoint
+ * @return {String}       Path (with query string), or the `url` itself, when it is not valid
+ */
+function pathOf(url) {
+	try {
+		const parsed = new URL(url);
+		return parsed.pathname + parsed.search;
+	} catch (e) {
+		return url;
+	}
+}
+
+/**
+ * Appends query string parameters to the URL, the same way as axios does.
+ *
+ * @private
+ *
+ * @param  {String}  url       URL of the API endpoint
+ * @param  {Object}  [params]  Query string parameters
+ * @return {String}            URL with the query string
+ */
+function buildUrl(url, params) {
+	const parts = [];
+
+	Object.keys(params || {}).forEach((key) => {
+		let values = params[key];
+		if (values === null || typeof values === "undefined") {
+			return;
+		}
+
+		let name = key;
+		if (Array.isArray(values)) {
+			name = `${key}[]`;
+		} else {
+			values = [values];
+		}
+
+		values.forEach((value) => {
+			if (value instanceof Date) {
+				value = value.toISOString();
+			} else if (value !== null && typeof value === "object") {
+				value = JSON.stringify(value);
+			}
+
+			parts.push(
+				`${encodeURIComponent(name)}=${encodeURIComponent(value)}`
+			);
+		});
+	});
+
+	if (parts.length === 0) {
+		return url;
+	}
+
+	return url + (url.indexOf("?") === -1 ? "?" : "&") + parts.join("&");
+}
+
+/**
+ * Creates a transport, backed by axios.
+ *
+ * @param  {Function}  [instance]  Configured axios instance, defaults to the global `axios`
+ * @return {Function}              Transport
+ */
+function axiosTransport(instance) {
+	// axios is required lazily, runtimes without XHR and Node's `http` use fetch
+	instance = instance || require("axios");
+
+	return function (request) {
+		return instance
+			.request({
+				method: request.method,
+				url: request.url,
+				headers: request.headers,
+				params: request.params,
+				data: request.data,
+				signal: request.signal,
+				responseType: request.responseType,
+				validateStatus: () => true,
+			})
+			.then((response) => {
+				const req = response.request || {};
+
+				return {
+					status: response.status,
+					headers: response.headers || {},
+					data: response.data,
+					request: {
+						method: req.method || request.method,
+						path: req.path || pathOf(request.url),
+					},
+				};
+			});
+	};
+}
+
+/**
+ * Creates a transport, backed by a fetch-compatible function.
+ *
+ * The function is called as `fetchFn(url, { method, headers, body, signal })` and
+ * should return a `Response`-alike object with `status`, `headers` and
+ * `text()`.
+ *
+ * @param  {Function}  [fetchFn]  `fetch` implementation, defaults to the global `fetch`
+ * @return {Function}             Transport
+ */
+function fetchTransport(fetchFn) {
+	const transport = async function (request) {
+		const doFetch = fetchFn || fetch;
+		const url = buildUrl(request.url, request.params);
+
+		const res = await doFetch(url, {
+			method: request.method,
+			headers: request.headers,
+			body: request.data,
+			signal: request.signal,
+		});
+
+		const headers = {};
+		if (res.headers && typeof res.headers.forEach === "function") {
+			res.headers.forEach((value, name) => {
+				headers[name.toLowerCase()] = value;
+			});
+		}
+
+		if (request.responseType === "stream") {
+			return {
+				status: res.status,
+				headers: headers,
+				data: res.body,
+				request: { method: request.method, path: pathOf(url) },
+			};
+		}
+
+		const text = await res.text();
+		let data = text;
+		if (text) {
+			try {
+				data = JSON.parse(text);
+			} catch (e) {
+				// not a JSON, keep the raw text
+			}
+		}
+
+		return {
+			status: res.status,
+			headers: headers,
+			data: data,
+			request: { method: request.method, path: pathOf(url) },
+		};
+	};
+	transport.nativeFormData = true;
+
+	return transport;
+}
+
+/**
+ * Creates a transport from the `transport` option of the client.
+ *
+ * By default, axios is used in Node, and the global `fetch` in other runtimes
+ * (browsers, Deno, Cloudflare Workers).
+ *
+ * @param  {Function}  [option]  axios instance or fetch-compatible function
+ * @return {Function}            Transport
+ */
+function createTransport(option) {
+	if (!option) {
+		return isNode || typeof fetch !== "function"
+			? axiosTransport()
+			: fetchTransport();
+	}
+
+	if (typeof option !== "function") {
+		throw new TypeError(
+			"transport should be an axios instance or a fetch-compatible function"
+		);
+	}
+
+	// axios instances are functions too, but they have `defaults` and `interceptors`
+	if (option.defaults && option.interceptors) {
+		return axiosTransport(option);
+	}
+
+	return fetchTransport(option);
+}
+
+module.exports.axiosTransport = axiosTransport;
+module.exports.fetchTransport = fetchTransport;
+module.exports.createTransport = createTransport;
+module.exports.pathOf = pathOf;
+
+// For testing
+module.exports.buildUrl = buildUrl;
@@ -25,9 +25,11 @@ http://spdx.org/licenses/MIT
 
 "use strict";
 
-const axios = require("axios");
 const debug = require("debug")("freshdesk-api");
-const FormData = require("form-data");
+const platform = require("./platform");
+const attachments = require("./attachments");
+const pathOf = require("./transport").pathOf;
+const resolveAuthorization = require("./auth").resolveAuthorization;
 
 /**
  * Freshdesk's API protocol violations
@@ -46,9 +48,299 @@ class FreshdeskError extends Error {
 
 		this.data = data;
 
-		this.status = res.status;
-		this.apiTarget = `${res.request.method} ${res.request.path}`;
-		this.requestId = res.headers["x-request-id"];
+		// There is no response for network-level errors
+		res = res || {};
+		const req = res.request || {};
+		const headers = res.headers || {};
+
+		this.status = isNil(res.status) ? null : res.status;
+		this.apiTarget = `${req.method} ${req.path}`;
+		this.requestId = headers["x-request-id"];
+	}
+}
+
+/**
+ * Request failed without a response: network reset, DNS failure, invalid
+ * URL and so on.
+ *
+ * @param {Error}   cause               Original error
+ * @param {Object}  [context]           Request context
+ * @param {String}  context.method      HTTP method
+ * @param {String}  context.path        Target path
+ * @param {Number}  context.attempts    Performed attempts
+ * @param {Number}  context.elapsed     Elapsed time (ms) since the first attempt
+ */
+class FreshdeskNetworkError extends FreshdeskError {
+	constructor(cause, context) {
+		super(cause && cause.message, null, null);
+
+		context = context || {};
+
+		this.name = "FreshdeskNetworkError";
+		this.method = context.method || null;
+		this.path = context.path || null;
+		if (this.method && this.path) {
+			this.apiTarget = `${this.method} ${this.path}`;
+		}
+		this.attempts = context.attempts || 0;
+		this.elapsed = context.elapsed || 0;
+		this.code = (cause && cause.code) || null;
+		this.cause = cause;
+	}
+}
+
+/**
+ * Request data is invalid (HTTP 400).
+ *
+ * Freshdesk describes every invalid field in the `errors` array of the
+ * response, for example `{ field: "email", message: "It should be a valid email address", code: "invalid_value" }`.
+ *
+ * @param {String}  message Error message
+ * @param {Object}  data    Parsed response of the Freshdesk API
+ * @param {Object}  res     Freshdesk-response
+ */
+class FreshdeskValidationError extends FreshdeskError {
+	constructor(message, data, res) {
+		super(message, data, res);
+
+		this.name = "FreshdeskValidationError";
+		this.errors = data && Array.isArray(data.errors) ? data.errors : [];
+	}
+}
+
+/**
+ * Authentication failed (HTTP 401): API key or credentials are invalid.
+ *
+ * @param {String}  message Error message
+ * @param {Object}  data    Parsed response of the Freshdesk API
+ * @param {Object}  res     Freshdesk-response
+ */
+class FreshdeskAuthenticationError extends FreshdeskError {
+	constructor(message, data, res) {
+		super(message, data, res);
+
+		this.name = "FreshdeskAuthenticationError";
+	}
+}
+
+/**
+ * The authenticated agent has no permission for the action (HTTP 403).
+ *
+ * @param {String}  message Error message
+ * @param {Object}  data    Parsed response of the Freshdesk API
+ * @param {Object}  res     Freshdesk-response
+ */
+class FreshdeskPermissionError extends FreshdeskError {
+	constructor(message, data, res) {
+		super(message, data, res);
+
+		this.name = "FreshdeskPermissionError";
+	}
+}
+
+/**
+ * The requested entity was not found (HTTP 404).
+ *
+ * @param {String}  message Error message
+ * @param {Object}  data    Parsed response of the Freshdesk API
+ * @param {Object}  res     Freshdesk-response
+ */
+class FreshdeskNotFoundError extends FreshdeskError {
+	constructor(message, data, res) {
+		super(message, data, res);
+
+		this.name = "FreshdeskNotFoundError";
+	}
+}
+
+/**
+ * The entity is not unique, where unique is required (HTTP 409).
+ *
+ * @param {String}  message Error message
+ * @param {Object}  data    Parsed response of the Freshdesk API
+ * @param {Object}  res     Freshdesk-response
+ */
+class FreshdeskConflictError extends FreshdeskError {
+	constructor(message, data, res) {
+		super(message, data, res);
+
+		this.name = "FreshdeskConflictError";
+	}
+}
+
+/**
+ * Freshdesk failed to process the request (HTTP 5xx).
+ *
+ * @param {String}  message Error message
+ * @param {Object}  data    Parsed response of the Freshdesk API
+ * @param {Object}  res     Freshdesk-response
+ */
+class FreshdeskServerError extends FreshdeskError {
+	constructor(message, data, res) {
+		super(message, data, res);
+
+		this.name = "FreshdeskServerError";
+	}
+}
+
+/**
+ * The API call was not completed in time: `timeout` option of the client
+ * or of the call.
+ *
+ * @param {Error}   cause    Original error
+ * @param {Object}  context  Request context, see {@link FreshdeskNetworkError}
+ */
+class FreshdeskTimeoutError extends FreshdeskNetworkError {
+	constructor(cause, context) {
+		super(cause, context);
+
+		this.name = "FreshdeskTimeoutError";
+		this.timeout = null;
+	}
+}
+
+/**
+ * The API call was aborted with the `AbortSignal`, passed to the call.
+ *
+ * @param {Error}   cause    Original error (reason of the signal)
+ * @param {Object}  context  Request context, see {@link FreshdeskNetworkError}
+ */
+class FreshdeskAbortError extends FreshdeskNetworkError {
+	constructor(cause, context) {
+		super(cause, context);
+
+		this.name = "FreshdeskAbortError";
+	}
+}
+
+/**
+ * Freshdesk's API rate limit is exceeded (HTTP 429), and the retries
+ * budget of the client is exhausted.
+ *
+ * @param {String}  message Error message
+ * @param {Object}  data    Parsed response of the Freshdesk API
+ * @param {Object}  res     Freshdesk-response
+ */
+class FreshdeskRateLimitError extends FreshdeskError {
+	constructor(message, data, res) {
+		super(message || "Freshdesk API rate limit exceeded", data, res);
+
+		this.name = "FreshdeskRateLimitError";
+		this.retryAfter =
+			res && res.headers
+				? parseRetryAfter(res.headers["retry-after"])
+				: null;
+		this.retries = 0;
+	}
+}
+
+/**
+ * Rate limit state of the Freshdesk account.
+ *
+ * @typedef  {Object}  RateLimit
+ * @property {?Number} total               Requests per minute, allowed for the account (`X-RateLimit-Total`)
+ * @property {?Number} remaining           Requests, remaining in the current minute (`X-RateLimit-Remaining`)
+ * @property {?Number} usedCurrentRequest  Credits, used by the request (`X-RateLimit-Used-CurrentRequest`)
+ * @property {Date}    updatedAt           When the state was received
+ */
+
+/**
+ * Parses the `Link` header of the Freshdesk-response.
+ *
+ * @private
+ *
+ * @param  {String}  header  Value of the `Link` header, for example `<https://x.freshdesk.com/api/v2/tickets?page=2>; rel="next"`
+ * @return {Object}          URLs by their `rel`, for example `{ next: "https://..." }`
+ */
+function parseLinkHeader(header) {
+	const links = {};
+
+	String(header)
+		.split(",")
+		.forEach((part) => {
+			const match = /<\s*([^>]*?)\s*>(.*)/.exec(part);
+			const rel = match && /rel\s*=\s*"?([^";]+)"?/.exec(match[2]);
+			if (!rel) {
+				return;
+			}
+
+			rel[1]
+				.trim()
+				.split(/\s+/)
+				.forEach((name) => {
+					links[name] = match[1];
+				});
+		});
+
+	return links;
+}
+
+/**
+ * Extracts the page number from the URL of a list endpoint.
+ *
+ * @private
+ *
+ * @param  {String}  url  URL of the page
+ * @return {?Number}      Value of the `page` parameter, or `null`
+ */
+function pageOf(url) {
+	try {
+		const page = parseInt(new URL(url).searchParams.get("page"), 10);
+		return isNaN(page) ? null : page;
+	} catch (e) {
+		return null;
+	}
+}
+
+/**
+ * Parses the rate limit headers of the Freshdesk-response.
+ *
+ * @private
+ *
+ * @param  {Object}     headers  HTTP headers of the response
+ * @return {?RateLimit}          Rate limit state, or `null` when there are no rate limit headers
+ */
+function parseRateLimit(headers) {
+	if (!headers) {
+		return null;
+	}
+
+	const toNumber = (value) => {
+		const num = parseInt(value, 10);
+		return Number.isNaN(num) ? null : num;
+	};
+
+	const rateLimit = {
+		total: toNumber(headers["x-ratelimit-total"]),
+		remaining: toNumber(headers["x-ratelimit-remaining"]),
+		usedCurrentRequest: toNumber(
+			headers["x-ratelimit-used-currentrequest"]
+		),
+		updatedAt: new Date(),
+	};
+
+	if (
+		isNil(rateLimit.total) &&
+		isNil(rateLimit.remaining) &&
+		isNil(rateLimit.usedCurrentRequest)
+	) {
+		return null;
+	}
+
+	return rateLimit;
+}
+
+/**
+ * Extracts the error message from the Freshdesk-response.
+ *
+ * @private
+ *
+ * @param  {Object}   body  Parsed response of the Freshdesk API
+ * @return {?String}        Error message, or `undefined`
+ */
+function errorMessage(body) {
+	if (body && typeof body === "object") {
+		return body.description || body.message;
 	}
 }
 
@@ -61,7 +353,12 @@ function createResponseHandler(cb) {
 
 		const extra = {
 			pageIsLast: true,
+			nextPage: null,
+			nextUrl: null,
 			requestId: "",
+			rateLimitTotal: null,
+			rateLimitRemaining: null,
+			rateLimitUsedCurrentRequest: null,
 		};
 
 		debug("Got API response, status [%s]", response.status);
@@ -71,13 +368,14 @@ function createResponseHandler(cb) {
 			response.headers &&
 			"string" === typeof response.headers.link
 		) {
-			debug(
-				"Detected http-header LINK, page is not last",
-				response.headers.link
-			);
-			extra.pageIsLast = false;
-			// TODO: reconsider this property
-			extra._headersLink = response.headers.link;
+			debug("Detected http-header LINK", response.headers.link);
+
+			const links = parseLinkHeader(response.headers.link);
+			if (links.next) {
+				extra.pageIsLast = false;
+				extra.nextUrl = links.next;
+				extra.nextPage = pageOf(links.next);
+			}
 		}
 
 		if (
@@ -88,6 +386,13 @@ function createResponseHandler(cb) {
 			extra.requestId = response.headers["x-request-id"];
 		}
 
+		const rateLimit = parseRateLimit(response && response.headers);
+		if (rateLimit) {
+			extra.rateLimitTotal = rateLimit.total;
+			extra.rateLimitRemaining = rateLimit.remaining;
+			extra.rateLimitUsedCurrentRequest = rateLimit.usedCurrentRequest;
+		}
+
 		switch (response.status) {
 			// SUCCESS
 			// https://httpstatuses.com/200 OK
@@ -101,6 +406,39 @@ function createResponseHandler(cb) {
 			case 204:
 				return cb(null, null, extra);
 
+			// https://httpstatuses.com/400 Bad Request - validation failed
+			case 400:
+				debug("path:[%s] raw body: %o", response.request.path, body);
+				return cb(
+					new FreshdeskValidationError(
+						errorMessage(body),
+						body,
+						response
+					)
+				);
+
+			// https://httpstatuses.com/401 Unauthorized
+			case 401:
+				debug("path:[%s] raw body: %o", response.request.path, body);
+				return cb(
+					new FreshdeskAuthenticationError(
+						errorMessage(body),
+						body,
+						response
+					)
+				);
+
+			// https://httpstatuses.com/403 Forbidden
+			case 403:
+				debug("path:[%s] raw body: %o", response.request.path, body);
+				return cb(
+					new FreshdeskPermissionError(
+						errorMessage(body),
+						body,
+						response
+					)
+				);
+
 			// https://httpstatuses.com/404 Not found
 			case 404:
 				debug("path:[%s] raw body: %o", response.request.path);
@@ -112,7 +450,7 @@ function createResponseHandler(cb) {
 				//
 				// In most cases the body is EMPTY, so we will just warn about wrong entity
 				return cb(
-					new FreshdeskError(
+					new FreshdeskNotFoundError(
 						"The requested entity was not found",
 						body,
 						response
@@ -121,75 +459,856 @@ function createResponseHandler(cb) {
 
 			// https://httpstatuses.com/409 Conflict  - NOT UNIQUE, where unique required
 			case 409:
+				debug("path:[%s] raw body: %o", response.request.path, body);
+				return cb(
+					new FreshdeskConflictError(
+						errorMessage(body),
+						body,
+						response
+					)
+				);
+
+			// https://httpstatuses.com/429 Too Many Requests
+			case 429:
+				debug("path:[%s] rate limit exceeded", response.request.path);
+				return cb(
+					new FreshdeskRateLimitError(
+						errorMessage(body),
+						body,
+						response
+					)
+				);
+
 			default:
-				debug("path:[%s] raw body: %o", response.request.path);
-				return cb(new FreshdeskError(body.description, body, response));
+				debug("path:[%s] raw body: %o", response.request.path, body);
+
+				// https://httpstatuses.com/500 Internal Server Error, 502, 503 ...
+				if (response.status >= 500) {
+					return cb(
+						new FreshdeskServerError(
+							errorMessage(body),
+							body,
+							response
+						)
+					);
+				}
+
+				return cb(
+					new FreshdeskError(errorMessage(body), body, response)
+				);
 		}
 	};
 }
 
-// TODO: try to make less params here
-async function makeRequest(method, auth, url, qs, data, cb) {
-	// eslint-disable-line max-params
+/**
+ * Default delay (in seconds) before retrying a rate-limited request, used
+ * when the response has no valid `Retry-After` header.
+ *
+ * @private
+ */
+const DEFAULT_RETRY_AFTER = 60;
+
+/**
+ * Parses the `Retry-After` header: delay in seconds or HTTP-date.
+ *
+ * @private
+ *
+ * @param  {String}  value   Value of the header
+ * @return {?Number}         Delay in seconds, or `null` when the value is invalid
+ */
+function parseRetryAfter(value) {
+	if (isNil(value) || value === "") {
+		return null;
+	}
+
+	const seconds = Number(value);
+	if (Number.isFinite(seconds)) {
+		return Math.max(0, seconds);
+	}
+
+	const date = Date.parse(value);
+	if (Number.isNaN(date)) {
+		return null;
+	}
+
+	return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Resolves after `ms` milliseconds, or earlier, when the call is cancelled
+ * (the timer is cleared then, so it doesn't keep the process alive).
+ *
+ * @private
+ *
+ * @param  {Number}   ms              Delay in milliseconds
+ * @param  {Object}   [cancellation]  Cancellation of the call, see `createCancellation`
+ * @return {Promise}                  `Promise`, resolved after the delay
+ */
+function delay(ms, cancellation) {
+	return new Promise((resolve) => {
+		const timer = setTimeout(resolve, ms);
+
+		if (cancellation) {
+			cancellation.promise.then(() => {
+				clearTimeout(timer);
+				resolve();
+			});
+		}
+	});
+}
+
+/**
+ * Retry policy for transient failures.
+ *
+ * @typedef  {Object}          RetryPolicy
+ * @property {Number}          maxAttempts  Max attempts per call, including the first one. `1` disables retries
+ * @property {Number}          baseDelay    Delay (ms) before the first retry, doubled for each next retry
+ * @property {Number}          maxDelay     Max delay (ms) between attempts
+ * @property {Number}          jitter       Random part of the delay, a fraction between `0` and `1`
+ * @property {Array.<Number>}  statuses     HTTP statuses, which are retried
+ * @property {Array.<String>}  methods      HTTP methods, which are retried
+ */
+
+/**
+ * Default {@link RetryPolicy}: retries are disabled.
+ *
+ * Only idempotent methods are retried, so a `POST` (like `createTicket`)
+ * is never sent twice, unless it is explicitly allowed.
+ *
+ * @private
+ */
+const DEFAULT_RETRY_POLICY = {
+	maxAttempts: 1,
+	baseDelay: 500,
+	maxDelay: 30000,
+	jitter: 0.5,
+	statuses: [502, 503, 504],
+	methods: ["GET", "PUT", "DELETE"],
+};
+
+/**
+ * Creates a retry policy, filling missing settings with defaults.
+ *
+ * @private
+ *
+ * @param  {Object}       [options]  Custom settings, see {@link RetryPolicy}
+ * @return {RetryPolicy}             Retry policy
+ */
+function createRetryPolicy(options) {
+	const policy = Object.assign({}, DEFAULT_RETRY_POLICY, options);
+	policy.methods = policy.methods.map((method) => method.toUpperCase());
+
+	return policy;
+}
+
+/**
+ * Checks whether a failed attempt should be retried.
+ *
+ * @private
+ *
+ * @param  {RetryPolicy}  policy    Retry policy
+ * @param  {String}       method    HTTP method
+ * @param  {?Number}      status    HTTP status, or `null` for network errors
+ * @param  {Number}       failures  Failed attempts, already retried
+ * @return {Boolean}                `true`, when the attempt should be retried
+ */
+function shouldRetry(policy, method, status, failures) {
+	if (!policy || failures + 1 >= policy.maxAttempts) {
+		return false;
+	}
+
+	if (policy.methods.indexOf(method.toUpperCase()) === -1) {
+		return false;
+	}
+
+	return isNil(status) || policy.statuses.indexOf(status) !== -1;
+}
+
+/**
+ * Calculates the delay before the retry: exponential backoff with jitter.
+ *
+ * @private
+ *
+ * @param  {RetryPolicy}  policy   Retry policy
+ * @param  {Number}       retry    Number of the retry, starting from `1`
+ * @return {Number}                Delay in milliseconds
+ */
+function retryDelay(policy, retry) {
+	const backoff = Math.min(
+		policy.maxDelay,
+		policy.baseDelay * Math.pow(2, retry - 1)
+	);
+
+	return Math.round(backoff * (1 - policy.jitter * Math.random()));
+}
+
+function waitBeforeRetry(policy, retry, reason, cancellation) {
+	const ms = retryDelay(policy, retry);
+	debug(
+		"Request failed [%s], retry %d of %d in %d ms",
+		reason,
+		retry,
+		policy.maxAttempts - 1,
+		ms
+	);
+
+	return delay(ms, cancellation);
+}
+
+/**
+ * Outcome of an API call: either `error`, or `data` with `extra`.
+ *
+ * @typedef  {Object}  RequestResult
+ * @property {?Error}  error  Error, occurred during the call
+ * @property {*}       data   Parsed response of the Freshdesk API
+ * @property {Object}  extra  Additional data, gathered from response
+ */
+
+/**
+ * Converts arguments of {@link createResponseHandler} callback to a
+ * {@link RequestResult}.
+ *
+ * @private
+ */
+function toResult(error, data, extra) {
+	return error ? { error: error } : { error: null, data: data, extra: extra };
+}
+
+/**
+ * Builds the normalized request for the transport of the client.
+ *
+ * @private
+ *
+ * @param  {Freshdesk}  client   Client, which performs the call
+ * @param  {Object}     request  API call: `{ method, url, query, body, headers }`
+ * @return {Promise<{options: Object, retryable: Boolean}>}  Request, and whether it could be re-sent
+ */
+async function buildRequest(client, request) {
+	const data = request.body;
 	const options = {
-		method: method,
-		headers: {
-			"Content-Type": "application/json",
-			Authorization: auth,
-		},
-		url: url, // for debugging set to: "https://httpbin.org/get"
-		params: qs,
+		method: request.method,
+		headers: Object.assign(
+			{
+				"Content-Type": "application/json",
+			},
+			request.headers
+		),
+		url: request.url, // for debugging set to: "https://httpbin.org/get"
+		params: request.query,
 	};
 
+	// Streams of attachments could not be re-sent, so such requests
+	// are never retried
+	let retryable = true;
+
 	if (data) {
-		if ("attachments" in data && Array.isArray(data.attachments)) {
-			var form = new FormData();
+		const list = Array.isArray(data.attachments) ? data.attachments : null;
+		const fileFields = Object.keys(data).filter(
+			(key) => data[key] instanceof attachments.FilePart
+		);
+
+		if (list || fileFields.length > 0) {
+			// Browsers and fetch accept only the native `FormData`
+			const native =
+				!platform.isNode || !!client._transport.nativeFormData;
+			const form = platform.createFormData(native);
+			// invalid attachments are rejected before anything is sent
+			const inputs = (list || []).concat(
+				fileFields.map((key) => data[key].input)
+			);
+			const inspected = await attachments.inspectAttachments(
+				inputs,
+				client._options.attachments,
+				(list || [])
+					.map((item, i) => `attachments[${i}]`)
+					.concat(fileFields)
+			);
+			if (inspected.errors.length > 0) {
+				throw new FreshdeskValidationError(
+					`Attachments are invalid: ${inspected.errors
+						.map((error) => `${error.field}: ${error.message}`)
+						.join("; ")}`,
+					{
+						description: "Attachments are invalid",
+						errors: inspected.errors,
+					},
+					{
+						request: {
+							method: request.method,
+							path: pathOf(request.url),
+						},
+					}
+				);
+			}
+
+			const files = inspected.attachments;
+			const offset = list ? list.length : 0;
 
 			for (let i = 0; i < Object.keys(data).length; i++) {
 				const key = Object.keys(data)[i];
-				if (Array.isArray(data[key])) {
-					for (let i = 0; i < data[key].length; i++) {
-						form.append(key + "[]", data[key][i]);
-					}
+				if (key === "attachments" && list) {
+					await attachments.appendAttachments(
+						form,
+						"attachments[]",
+						files.slice(0, offset),
+						native
+					);
+				} else if (fileFields.indexOf(key) !== -1) {
+					await attachments.appendAttachments(
+						form,
+						key,
+						[files[offset + fileFields.indexOf(key)]],
+						native
+					);
 				} else {
-					form.append(key, data[key]);
+					attachments.appendField(form, key, data[key]);
 				}
 			}
 
-			options.headers["Content-Type"] =
-				typeof window === "undefined"
-					? form.getHeaders()["content-type"] // node
-					: "multipart/form-data"; // browser
+			if (native) {
+				// the runtime sets the header, with the boundary
+				delete options.headers["Content-Type"];
+			} else {
+				options.headers["Content-Type"] =
+					form.getHeaders()["content-type"];
+			}
 			options.data = form;
+			retryable = false;
 		} else {
 			options.data = JSON.stringify(data);
 		}
 	}
 
+	return { options, retryable };
+}
+
+/**
+ * Creates a cancellation of the API call: by timeout, or by the user's
+ * `AbortSignal`.
+ *
+ * @private
+ *
+ * @param  {Number}       [timeout]  Timeout in milliseconds, `0` or nothing to disable
+ * @param  {AbortSignal}  [signal]   User's signal
+ * @return {{signal: ?AbortSignal, reason: ?Object, promise: Promise, dispose: Function}}
+ * Signal for the transport, the cancellation reason `{ timeout, cause }` (`null`
+ * until the call is cancelled), promise of the reason (never resolved, when the
+ * call is not cancelled), and a function, which releases timers and listeners
+ */
+function createCancellation(timeout, signal) {
+	const controller =
+		typeof AbortController === "undefined" ? null : new AbortController();
+	const disposers = [];
+	let resolveReason;
+
+	const cancellation = {
+		signal: controller ? controller.signal : null,
+		reason: null,
+		promise: new Promise((resolve) => {
+			resolveReason = resolve;
+		}),
+		dispose: () => disposers.forEach((dispose) => dispose()),
+	};
+
+	const cancel = (reason) => {
+		if (cancellation.reason) {
+			return;
+		}
+
+		cancellation.reason = reason;
+		resolveReason(reason);
+
+		if (controller) {
+			controller.abort();
+		}
+	};
+
+	if (timeout > 0) {
+		const timer = setTimeout(
+			() =>
+				cancel({
+					timeout: timeout,
+					cause: new Error(`Request timed out after ${timeout} ms`),
+				}),
+			timeout
+		);
+		disposers.push(() => clearTimeout(timer));
+	}
+
+	if (signal) {
+		const onAbort = () =>
+			cancel({
+				timeout: null,
+				cause: signal.reason || new Error("Request was aborted"),
+			});
+
+		if (signal.aborted) {
+			onAbort();
+		} else {
+			signal.addEventListener("abort", onAbort);
+			disposers.push(() => signal.removeEventListener("abort", onAbort));
+		}
+	}
+
+	return cancellation;
+}
+
+/**
+ * Creates the error of the cancelled call.
+ *
+ * @private
+ *
+ * @param  {Object}  reason   Cancellation reason `{ timeout, cause }`, see `createCancellation`
+ * @param  {Object}  context  Request context, see {@link FreshdeskNetworkError}
+ * @return {FreshdeskTimeoutError|FreshdeskAbortError}  The error
+ */
+function cancellationError(reason, context) {
+	const ErrorClass = reason.timeout
+		? FreshdeskTimeoutError
+		: FreshdeskAbortError;
+	const error = new ErrorClass(reason.cause, context);
+	if (reason.timeout) {
+		error.timeout = reason.timeout;
+	}
+
+	return error;
+}
+
+/**
+ * Sends the API call, retrying it according to the client settings.
+ *
+ * @private
+ *
+ * @param  {Freshdesk}  client   Client, which performs the call
+ * @param  {Object}     request  API call: `{ method, url, query, body, headers }`
+ * @param  {Object}     state    Progress of the call: `{ attempts, context() }`, updated by the function
+ * @param  {Object}     cancellation  Cancellation of the call, see `createCancellation`
+ * @return {Promise<?RequestResult>}  Outcome of the call, `null` when it is cancelled
+ */
+async function performAttempts(client, request, state, cancellation) {
+	const method = request.method;
+
+	// invalid attachments are reported as the result, like API errors
+	let built;
 	try {
-		const response = await axios(options);
-		return createResponseHandler(cb)(null, response, response.data);
+		built = await buildRequest(client, request);
 	} catch (error) {
-		if (error.response) {
-			return createResponseHandler(cb)(
-				null,
-				error.response,
-				error.response.data
+		return toResult(error);
+	}
+
+	const options = Object.assign(
+		{ signal: cancellation.signal || undefined },
+		built.options
+	);
+	const retryable = built.retryable;
+
+	const retries = retryable ? client._options.rateLimitRetries : 0;
+	const policy = client._retryPolicy;
+	let rateLimited = 0;
+	let failures = 0;
+
+	for (;;) {
+		let response;
+
+		// a cancelled call doesn't take a turn of the throttler
+		if (cancellation.reason) {
+			return null;
+		}
+
+		if (client._throttler) {
+			await client._throttler.schedule(
+				method,
+				request.url,
+				cancellation.promise
 			);
-		} else if (error.request) {
-			return createResponseHandler(cb)(
-				new Error(error.message),
-				error.request,
-				error.request.data
+		}
+
+		// Credentials could be rotated between attempts. Middleware could
+		// set its own `Authorization` header
+		if (!request.headers || !("Authorization" in request.headers)) {
+			try {
+				options.headers.Authorization = await resolveAuthorization(
+					client
+				);
+			} catch (error) {
+				return toResult(error);
+			}
+		}
+
+		if (cancellation.reason) {
+			return null;
+		}
+
+		state.attempts++;
+
+		try {
+			response = await client._transport(options);
+		} catch (error) {
+			if (cancellation.reason) {
+				return null;
+			}
+
+			if (retryable && shouldRetry(policy, method, null, failures)) {
+				failures++;
+				await waitBeforeRetry(
+					policy,
+					failures,
+					error.message,
+					cancellation
+				);
+				continue;
+			}
+
+			return createResponseHandler(toResult)(
+				new FreshdeskNetworkError(error, state.context())
 			);
-		} else {
-			return createResponseHandler(cb)(
-				error,
-				error.request,
-				error.request.data
+		}
+
+		const rateLimit = parseRateLimit(response.headers);
+		if (rateLimit) {
+			client.rateLimit = rateLimit;
+
+			if (client._throttler) {
+				client._throttler.update(rateLimit);
+			}
+		}
+
+		if (response.status === 429 && rateLimited < retries) {
+			let retryAfter = parseRetryAfter(response.headers["retry-after"]);
+			if (isNil(retryAfter)) {
+				retryAfter = DEFAULT_RETRY_AFTER;
+			}
+
+			rateLimited++;
+			debug(
+				"Rate limit exceeded, retry %d of %d in %d seconds",
+				rateLimited,
+				retries,
+				retryAfter
+			);
+			await delay(retryAfter * 1000, cancellation);
+			continue;
+		}
+
+		if (
+			retryable &&
+			shouldRetry(policy, method, response.status, failures)
+		) {
+			failures++;
+			await waitBeforeRetry(
+				policy,
+				failures,
+				response.status,
+				cancellation
 			);
+			continue;
+		}
+
+		const result = createResponseHandler(toResult)(
+			null,
+			response,
+			response.data
+		);
+
+		if (result.error instanceof FreshdeskRateLimitError) {
+			result.error.retries = rateLimited;
+		}
+
+		return result;
+	}
+}
+
+/**
+ * Sends the API call, until it succeeds, fails, times out or is aborted.
+ *
+ * The returned promise is never rejected: all failures are reported via
+ * the `error` of the result.
+ *
+ * @private
+ *
+ * @param  {Freshdesk}  client   Client, which performs the call
+ * @param  {Object}     request  API call: `{ method, url, query, body, headers, timeout, signal }`
+ * @return {Promise<RequestResult>}  Outcome of the call
+ */
+async function sendRequest(client, request) {
+	const startedAt = Date.now();
+	const state = {
+		attempts: 0,
+		context: () => ({
+			method: request.method,
+			path: pathOf(request.url),
+			attempts: state.attempts,
+			elapsed: Date.now() - startedAt,
+		}),
+	};
+
+	const cancellation = createCancellation(request.timeout, request.signal);
+	const cancelled = cancellation.promise.then((reason) =>
+		toResult(cancellationError(reason, state.context()))
+	);
+
+	try {
+		const result = await Promise.race([
+			cancelled,
+			performAttempts(client, request, state, cancellation),
+		]);
+
+		// the attempts are stopped (with `null`), when the call is cancelled
+		return result || (await cancelled);
+	} finally {
+		cancellation.dispose();
+	}
+}
+
+/**
+ * Normalized API call, passed to middleware.
+ *
+ * @typedef  {Object}  MiddlewareRequest
+ * @property {String}  method   HTTP method
+ * @property {String}  path     Path of the API endpoint, relative to the `baseUrl` of the client, for example `/api/v2/tickets/1`
+ * @property {?Object} query    Query string parameters
+ * @property {?Object} body     Request body
+ * @property {Object}  headers  Additional HTTP headers
+ */
+
+/**
+ * Passes the request through the middleware chain, and then to `core`.
+ *
+ * Every middleware is called as `middleware(request, next)`, and should
+ * return (a promise of) a {@link RequestResult}: either the result of
+ * `next(request)`, or its own result to short-circuit the call.
+ *
+ * @private
+ *
+ * @param  {Array.<Function>}    middleware  Middleware chain
+ * @param  {MiddlewareRequest}   request     Normalized request
+ * @param  {Function}            core        Sends the request, returns `Promise<RequestResult>`
+ * @return {Promise<RequestResult>}          Outcome of the call
+ */
+function runMiddleware(middleware, request, core) {
+	const dispatch = (index, req) => {
+		if (index >= middleware.length) {
+			return core(req);
 		}
+
+		const next = (nextReq) => dispatch(index + 1, nextReq || req);
+
+		// `new Promise` also catches synchronous exceptions of the middleware
+		return new Promise((resolve) =>
+			resolve(middleware[index](req, next))
+		).then((result) => {
+			if (!result || typeof result !== "object") {
+				throw new TypeError(
+					"Middleware should return the result of next() or its own result"
+				);
+			}
+
+			return {
+				error: result.error || null,
+				data: result.data,
+				extra: result.extra || {},
+			};
+		});
+	};
+
+	return dispatch(0, request);
+}
+
+/**
+ * Attaches `extra` metadata to the data, resolved by a promisified call.
+ *
+ * The property is not enumerable, so it doesn't appear in `JSON.stringify`
+ * and `Object.keys` results. Non-object data (`null` for `204 No Content`)
+ * is returned as is.
+ *
+ * @private
+ *
+ * @param  {*}      data   Parsed response of the Freshdesk API
+ * @param  {Object} extra  Additional data, gathered from response
+ * @return {*}             The same `data`
+ */
+function attachExtra(data, extra) {
+	if (data !== null && typeof data === "object") {
+		Object.defineProperty(data, "extra", {
+			value: extra,
+			configurable: true,
+			enumerable: false,
+			writable: true,
+		});
 	}
+
+	return data;
+}
+
+/**
+ * Calls the user callback with the outcome of the API call.
+ *
+ * The client must not handle errors, thrown by the user code (otherwise
+ * the callback could be called twice), so they are rethrown
+ * asynchronously, as an uncaught exception.
+ *
+ * @private
+ *
+ * @param {Function}       cb      Callback function
+ * @param {RequestResult}  result  Outcome of the call
+ */
+function invokeCallback(cb, result) {
+	try {
+		if (result.error) {
+			cb(result.error);
+		} else {
+			cb(null, result.data, result.extra);
+		}
+	} catch (err) {
+		setTimeout(() => {
+			throw err;
+		}, 0);
+	}
+}
+
+/**
+ * Performs a call to the Freshdesk API.
+ *
+ * When `cb` is a function, it is called exactly once as
+ * `cb(err, data, extra)` and nothing is returned. Otherwise a `Promise` is
+ * returned, which resolves with the `data` (the `extra` is available as a
+ * non-enumerable `data.extra` property) or rejects with the error.
+ *
+ * Instead of the callback, per-call options `{ timeout, signal }` could be
+ * passed, the `Promise` is returned then.
+ *
+ * @param  {String}    method  HTTP method
+ * @param  {Freshdesk} client  Client, which performs the call
+ * @param  {String}    url     Full URL of the API endpoint
+ * @param  {Object}    [qs]    Query string parameters
+ * @param  {Object}    [data]  Request body
+ * @param  {Function|Object}  [cb]  Callback function, or per-call options `{ timeout, signal }`
+ * @return {Promise|undefined} `Promise` when `cb` is not a function
+ */
+function makeRequest(method, client, url, qs, data, cb) {
+	// eslint-disable-line max-params
+	let callOptions = {};
+	if (!isFunction(cb) && cb && typeof cb === "object") {
+		callOptions = cb;
+		cb = null;
+	}
+
+	const timeout = isNil(callOptions.timeout)
+		? client._options.timeout
+		: callOptions.timeout;
+	const root = url.indexOf(client.baseUrl) === 0 ? client.baseUrl : "";
+	const request = {
+		method: method,
+		path: url.slice(root.length),
+		query: qs || null,
+		body: data || null,
+		headers: {},
+	};
+
+	const settled = runMiddleware(client._middleware, request, (req) =>
+		sendRequest(client, {
+			method: req.method,
+			url: root + req.path,
+			query: req.query,
+			body: req.body,
+			headers: req.headers,
+			timeout: timeout,
+			signal: callOptions.signal,
+		})
+	).catch((error) => toResult(error));
+
+	return deliver(settled, cb);
+}
+
+/**
+ * Delivers the outcome of the API call: to the callback, or via the
+ * returned `Promise`, see {@link makeRequest}.
+ *
+ * @param  {Promise<RequestResult>}  settled  Outcome of the call, never rejected
+ * @param  {Function|Object}         [cb]     Callback function, or per-call options
+ * @return {Promise|undefined}                `Promise` when `cb` is not a function
+ */
+function deliver(settled, cb) {
+	if (isFunction(cb)) {
+		settled.then((result) => invokeCallback(cb, result));
+		return;
+	}
+
+	return settled.then((result) => {
+		if (result.error) {
+			throw result.error;
+		}
+
+		return attachExtra(result.data, result.extra);
+	});
+}
+
+/**
+ * Reports the error of an API call, which could not be sent (invalid
+ * arguments), the same way as {@link makeRequest} reports API errors.
+ *
+ * @param  {Error}            error  The error
+ * @param  {Function|Object}  [cb]   Callback function, or per-call options
+ * @return {Promise|undefined}       Rejected `Promise` when `cb` is not a function
+ */
+function fail(error, cb) {
+	return deliver(Promise.resolve(toResult(error)), cb);
+}
+
+/**
+ * Normalizes the base URL of the client.
+ *
+ * Accepts the account name (`acme`), the domain (`acme.freshdesk.com`,
+ * `support.example.com`) or the URL (`https://acme.freshdesk.com/`, with or
+ * without the trailing `/api/v2`). The protocol defaults to `https`.
+ *
+ * @param  {String}  baseUrl  Base URL, as passed by the user
+ * @return {{baseUrl: String, domain: String}}  Canonical URL without the trailing slash, and the domain
+ * @throws {TypeError}        When the URL is not valid
+ */
+function parseBaseUrl(baseUrl) {
+	const invalid = () =>
+		new TypeError(
+			`Invalid baseUrl ${JSON.stringify(
+				baseUrl
+			)}: expected the account name, the domain or the URL, for example "https://yourdomain.freshdesk.com"`
+		);
+
+	if (typeof baseUrl !== "string" || baseUrl.trim() === "") {
+		throw invalid();
+	}
+
+	let text = baseUrl.trim();
+	if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(text)) {
+		// the account name, or the domain
+		if (/^[a-z0-9-]+$/i.test(text)) {
+			text = `${text}.freshdesk.com`;
+		}
+
+		text = `https://${text}`;
+	}
+
+	let url;
+	try {
+		url = new URL(text);
+	} catch (e) {
+		throw invalid();
+	}
+
+	if (
+		(url.protocol !== "https:" && url.protocol !== "http:") ||
+		!/^[a-z0-9.-]+$/i.test(url.hostname) ||
+		url.username ||
+		url.password ||
+		url.search ||
+		url.hash
+	) {
+		throw invalid();
+	}
+
+	const path = url.pathname.replace(/\/+$/, "").replace(/\/api\/v2$/, "");
+
+	return { baseUrl: url.origin + path, domain: url.host };
 }
 
 /**
@@ -222,9 +1341,30 @@ function isFunction(value) {
 }
 
 module.exports.makeRequest = makeRequest;
+module.exports.deliver = deliver;
+module.exports.fail = fail;
 module.exports.FreshdeskError = FreshdeskError;
+module.exports.FreshdeskValidationError = FreshdeskValidationError;
+module.exports.FreshdeskAuthenticationError = FreshdeskAuthenticationError;
+module.exports.FreshdeskPermissionError = FreshdeskPermissionError;
+module.exports.FreshdeskNotFoundError = FreshdeskNotFoundError;
+module.exports.FreshdeskConflictError = FreshdeskConflictError;
+module.exports.FreshdeskRateLimitError = FreshdeskRateLimitError;
+module.exports.FreshdeskServerError = FreshdeskServerError;
+module.exports.FreshdeskNetworkError = FreshdeskNetworkError;
+module.exports.FreshdeskTimeoutError = FreshdeskTimeoutError;
+module.exports.FreshdeskAbortError = FreshdeskAbortError;
 module.exports.isNil = isNil;
+module.exports.parseBaseUrl = parseBaseUrl;
 module.exports.isFunction = isFunction;
+module.exports.createRetryPolicy = createRetryPolicy;
+module.exports.createCancellation = createCancellation;
+module.exports.cancellationError = cancellationError;
 
 // For testing
 module.exports.createResponseHandler = createResponseHandler;
+module.exports.parseRetryAfter = parseRetryAfter;
+module.exports.parseRateLimit = parseRateLimit;
+module.exports.parseLinkHeader = parseLinkHeader;
+module.exports.shouldRetry = shouldRetry;
+module.exports.retryDelay = retryDelay;
@@ -0,0 +1,153 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2017 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+"use strict";
+
+const nock = require("nock");
+
+const Freshdesk = require("..");
+
+describe("api.auth", function () {
+	const basic = (credentials) =>
+		"Basic " + Buffer.from(credentials).toString("base64");
+
+	afterEach(() => {
+		nock.cleanAll();
+	});
+
+	function expectAuthorization(auth, expected) {
+		const freshdesk = new Freshdesk("https://test.freshdesk.com", auth);
+
+		nock("https://test.freshdesk.com", {
+			reqheaders: { Authorization: expected },
+		})
+			.get("/api/v2/tickets/1")
+			.reply(200, { id: 1 });
+
+		return freshdesk.getTicket(1).then((data) => {
+			expect(data).to.deep.equal({ id: 1 });
+		});
+	}
+
+	const testCases = [
+		["API key", "TESTKEY", basic("TESTKEY:X")],
+		["{ apiKey }", { apiKey: "TESTKEY" }, basic("TESTKEY:X")],
+		[
+			"{ username, password }",
+			{ username: "agent@test.com", password: "secret" },
+			basic("agent@test.com:secret"),
+		],
+		["{ token }", { token: "abc" }, "Bearer abc"],
+		[
+			"{ token } with provider",
+			{ token: () => Promise.resolve("xyz") },
+			"Bearer xyz",
+		],
+		[
+			"credentials provider",
+			() => Promise.resolve({ apiKey: "ROTATED" }),
+			basic("ROTATED:X"),
+		],
+		["sync credentials provider", () => "SYNCKEY", basic("SYNCKEY:X")],
+	];
+
+	testCases.forEach((tc) => {
+		it(`should authenticate with ${tc[0]}`, () =>
+			expectAuthorization(tc[1], tc[2]));
+	});
+
+	it("should call the provider before every call", () => {
+		let calls = 0;
+		const freshdesk = new Freshdesk("https://test.freshdesk.com", {
+			token: () => `token-${++calls}`,
+		});
+
+		nock("https://test.freshdesk.com", {
+			reqheaders: { Authorization: "Bearer token-1" },
+		})
+			.get("/api/v2/tickets/1")
+			.reply(200, { id: 1 });
+		nock("https://test.freshdesk.com", {
+			reqheaders: { Authorization: "Bearer token-2" },
+		})
+			.get("/api/v2/tickets/2")
+			.reply(200, { id: 2 });
+
+		return freshdesk
+			.getTicket(1)
+			.then(() => freshdesk.getTicket(2))
+			.then((data) => {
+				expect(data).to.deep.equal({ id: 2 });
+				expect(calls).equal(2);
+			});
+	});
+
+	it("should replace credentials with setAuth", () => {
+		const freshdesk = new Freshdesk("https://test.freshdesk.com", "OLD");
+
+		nock("https://test.freshdesk.com", {
+			reqheaders: { Authorization: "Bearer new" },
+		})
+			.get("/api/v2/tickets/1")
+			.reply(200, { id: 1 });
+
+		expect(freshdesk.setAuth({ token: "new" })).equal(freshdesk);
+		return freshdesk.getTicket(1);
+	});
+
+	it("should pass the error of the provider", (done) => {
+		const failure = new Error("vault is sealed");
+		const freshdesk = new Freshdesk("https://test.freshdesk.com", () =>
+			Promise.reject(failure)
+		);
+
+		freshdesk.getTicket(1, (err) => {
+			expect(err).equal(failure);
+			done();
+		});
+	});
+
+	it("should pass TypeError for invalid provided credentials", () => {
+		const freshdesk = new Freshdesk("https://test.freshdesk.com", () => ({
+			user: "x",
+		}));
+
+		return freshdesk.getTicket(1).then(
+			() => {
+				throw new Error("Promise should be rejected");
+			},
+			(err) => {
+				expect(err).to.be.instanceof(TypeError);
+			}
+		);
+	});
+
+	const invalidCases = [
+		["nothing", undefined],
+		["number", 42],
+		["username without password", { username: "agent" }],
+	];
+
+	invalidCases.forEach((tc) => {
+		it(`should reject ${tc[0]}`, () => {
+			expect(
+				() => new Freshdesk("https://test.freshdesk.com", tc[1])
+			).to.throw(TypeError);
+		});
+	});
+});
@@ -0,0 +1,121 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2017 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+"use strict";
+
+const nock = require("nock");
+
+const Freshdesk = require("..");
+
+describe("api.callback", function () {
+	const freshdesk = new Freshdesk("https://test.freshdesk.com", "TESTKEY");
+
+	let mochaListeners = [];
+
+	// Replaces mocha's handler of uncaught exceptions, so the exception,
+	// rethrown by the client, could be checked by the test
+	function catchUncaught(handler) {
+		mochaListeners = process.listeners("uncaughtException");
+		process.removeAllListeners("uncaughtException");
+		process.once("uncaughtException", handler);
+	}
+
+	function restoreUncaught() {
+		process.removeAllListeners("uncaughtException");
+		mochaListeners.forEach((listener) =>
+			process.on("uncaughtException", listener)
+		);
+		mochaListeners = [];
+	}
+
+	afterEach(() => {
+		restoreUncaught();
+		nock.cleanAll();
+	});
+
+	const testCases = [
+		[
+			"success",
+			() =>
+				nock("https://test.freshdesk.com")
+					.get("/api/v2/tickets/1")
+					.reply(200, { id: 1 }),
+			(err) => expect(err).is.null,
+		],
+		[
+			"HTTP error",
+			() =>
+				nock("https://test.freshdesk.com")
+					.get("/api/v2/tickets/1")
+					.reply(404),
+			(err) => expect(err).to.be.instanceof(Freshdesk.FreshdeskError),
+		],
+		[
+			"network error",
+			() =>
+				nock("https://test.freshdesk.com")
+					.get("/api/v2/tickets/1")
+					.replyWithError("my network error"),
+			(err) =>
+				expect(err).to.be.instanceof(Freshdesk.FreshdeskNetworkError),
+		],
+	];
+
+	testCases.forEach((tc) => {
+		describe(`on ${tc[0]}`, () => {
+			beforeEach(() => {
+				tc[1]();
+			});
+
+			it("should call callback exactly once", (done) => {
+				let calls = 0;
+
+				freshdesk.getTicket(1, (err) => {
+					calls++;
+					tc[2](err);
+				});
+
+				setTimeout(() => {
+					expect(calls).equal(1);
+					done();
+				}, 50);
+			});
+
+			it("should rethrow callback exception asynchronously", (done) => {
+				const thrown = new Error("callback failure");
+				let calls = 0;
+
+				catchUncaught((err) => {
+					restoreUncaught();
+
+					expect(err).equal(thrown);
+					setTimeout(() => {
+						expect(calls).equal(1);
+						done();
+					}, 20);
+				});
+
+				freshdesk.getTicket(1, (err) => {
+					calls++;
+					tc[2](err);
+					throw thrown;
+				});
+			});
+		});
+	});
+});
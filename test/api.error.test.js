@@ -58,6 +58,92 @@ describe("api.error", function () {
 		});
 	});
 
+	describe("on API response status 400 with validation errors", () => {
+		const errors = [
+			{
+				field: "email",
+				message: "It should be a valid email address",
+				code: "invalid_value",
+			},
+		];
+
+		before(() => {
+			nock("https://test.freshdesk.com")
+				.post("/api/v2/contacts")
+				.reply(400, { description: "Validation failed", errors });
+		});
+
+		it("should pass FreshdeskValidationError to callback", (done) => {
+			freshdesk.createContact({ email: "wrong" }, (err) => {
+				expect(err).to.be.instanceof(
+					Freshdesk.FreshdeskValidationError
+				);
+				expect(err).to.be.instanceof(Freshdesk.FreshdeskError);
+				expect(err).has.property("name", "FreshdeskValidationError");
+				expect(err).has.property("message", "Validation failed");
+				expect(err).has.property("errors").to.deep.equal(errors);
+
+				done();
+			});
+		});
+	});
+
+	describe("on typed API response status", () => {
+		const testCases = [
+			[401, "FreshdeskAuthenticationError"],
+			[403, "FreshdeskPermissionError"],
+			[404, "FreshdeskNotFoundError"],
+			[409, "FreshdeskConflictError"],
+			[429, "FreshdeskRateLimitError"],
+			[500, "FreshdeskServerError"],
+			[503, "FreshdeskServerError"],
+		];
+
+		const client = new Freshdesk("https://test.freshdesk.com", "TESTKEY", {
+			rateLimitRetries: 0,
+		});
+
+		testCases.forEach((tc) => {
+			it(`should pass ${tc[1]} on ${tc[0]}`, (done) => {
+				nock("https://test.freshdesk.com")
+					.get("/api/v2/companies/1")
+					.reply(tc[0], { message: "Some message" });
+
+				client.getCompany(1, (err) => {
+					expect(err).to.be.instanceof(Freshdesk[tc[1]]);
+					expect(err).to.be.instanceof(Freshdesk.FreshdeskError);
+					expect(err).has.property("name", tc[1]);
+					expect(err).has.property("status", tc[0]);
+
+					done();
+				});
+			});
+		});
+
+		it("should pass FreshdeskError on other statuses", (done) => {
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/companies/1")
+				.reply(418, null);
+
+			client.getCompany(1, (err) => {
+				expect(err).to.be.instanceof(Freshdesk.FreshdeskError);
+				expect(err).has.property("name", "FreshdeskError");
+				expect(err).has.property("status", 418);
+
+				done();
+			});
+		});
+	});
+
+	describe("on invalid URL", () => {
+		it("should throw TypeError from the constructor", () => {
+			expect(() => new Freshdesk("not a valid url", "TESTKEY")).to.throw(
+				TypeError,
+				/Invalid baseUrl "not a valid url"/
+			);
+		});
+	});
+
 	describe("on network error", () => {
 		before(() => {
 			nock("https://test.freshdesk.com")
@@ -76,5 +162,32 @@ describe("api.error", function () {
 
 			//throw(Freshdesk.FreshdeskError)
 		});
+
+		it("should pass FreshdeskNetworkError with request context", (done) => {
+			nock("https://test.freshdesk.com")
+				.get(/.*/)
+				.replyWithError({ message: "reset", code: "ECONNRESET" });
+
+			freshdesk.getTicket(112, (err) => {
+				expect(err).to.be.instanceof(Freshdesk.FreshdeskNetworkError);
+				expect(err).to.be.instanceof(Freshdesk.FreshdeskError);
+				expect(err).has.property("name", "FreshdeskNetworkError");
+				expect(err).has.property("status", null);
+				expect(err).has.property("method", "GET");
+				expect(err).has.property("path", "/api/v2/tickets/112");
+				expect(err).has.property(
+					"apiTarget",
+					"GET /api/v2/tickets/112"
+				);
+				expect(err).has.property("attempts", 1);
+				expect(err).has.property("code", "ECONNRESET");
+				expect(err.elapsed).to.be.a("number");
+				expect(err.cause).has.property("message", "reset");
+
+				done();
+			});
+
+			//throw(Freshdesk.FreshdeskError)
+		});
 	});
 });
@@ -0,0 +1,219 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2017 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+"use strict";
+
+const nock = require("nock");
+
+const Freshdesk = require("..");
+
+describe("api.middleware", function () {
+	let freshdesk = null;
+
+	beforeEach(() => {
+		freshdesk = new Freshdesk("https://test.freshdesk.com", "TESTKEY");
+	});
+
+	afterEach(() => {
+		nock.cleanAll();
+	});
+
+	it("should pass normalized request and add headers", () => {
+		const seen = [];
+
+		freshdesk.use((req, next) => {
+			seen.push(Object.assign({}, req));
+			req.headers["X-Audit"] = "yes";
+			return next(req);
+		});
+
+		nock("https://test.freshdesk.com", { reqheaders: { "X-Audit": "yes" } })
+			.put("/api/v2/tickets/1", { status: 2 })
+			.reply(200, { id: 1 });
+
+		return freshdesk.updateTicket(1, { status: 2 }).then((data) => {
+			expect(data).to.deep.equal({ id: 1 });
+			expect(seen).to.have.length(1);
+			expect(seen[0]).to.include({
+				method: "PUT",
+				path: "/api/v2/tickets/1",
+				query: null,
+			});
+			expect(seen[0].body).to.deep.equal({ status: 2 });
+		});
+	});
+
+	it("should see the response and the error", () => {
+		const results = [];
+
+		freshdesk.use((req, next) =>
+			next().then((result) => {
+				results.push(result);
+				return result;
+			})
+		);
+
+		nock("https://test.freshdesk.com")
+			.get("/api/v2/tickets/1")
+			.reply(200, { id: 1 }, { "x-request-id": "req-1" })
+			.get("/api/v2/tickets/2")
+			.reply(404);
+
+		return freshdesk
+			.getTicket(1)
+			.then(() => freshdesk.getTicket(2))
+			.catch((err) => {
+				expect(err).to.be.instanceof(Freshdesk.FreshdeskNotFoundError);
+
+				expect(results).to.have.length(2);
+				expect(results[0].error).is.null;
+				expect(results[0].data).to.deep.equal({ id: 1 });
+				expect(results[0].extra).to.have.property("requestId", "req-1");
+				expect(results[1].error).equal(err);
+			});
+	});
+
+	it("should see invalid attachments as the error", () => {
+		const results = [];
+
+		freshdesk.use((req, next) =>
+			next().then((result) => {
+				results.push(result);
+				return result;
+			})
+		);
+
+		return freshdesk
+			.createTicket({ subject: "Test", attachments: [42] })
+			.then(
+				() => {
+					throw new Error("Promise should be rejected");
+				},
+				(err) => {
+					expect(err).to.be.instanceof(
+						Freshdesk.FreshdeskValidationError
+					);
+					expect(results).to.have.length(1);
+					expect(results[0].error).equal(err);
+				}
+			);
+	});
+
+	it("should rewrite the response", () => {
+		freshdesk.use((req, next) =>
+			next().then((result) =>
+				Object.assign({}, result, {
+					data: Object.assign({ rewritten: true }, result.data),
+				})
+			)
+		);
+
+		nock("https://test.freshdesk.com")
+			.get("/api/v2/tickets/1")
+			.reply(200, { id: 1 });
+
+		return freshdesk.getTicket(1).then((data) => {
+			expect(data).to.deep.equal({ rewritten: true, id: 1 });
+		});
+	});
+
+	it("should short-circuit with a cached result", (done) => {
+		const cache = { "/api/v2/tickets/1": { id: 1, cached: true } };
+
+		freshdesk.use((req, next) => {
+			if (req.method === "GET" && cache[req.path]) {
+				return { data: cache[req.path] };
+			}
+
+			return next();
+		});
+
+		freshdesk.getTicket(1, (err, data, extra) => {
+			expect(err).is.null;
+			expect(data).to.deep.equal({ id: 1, cached: true });
+			expect(extra).to.be.an("object");
+
+			done();
+		});
+	});
+
+	it("should retry the call", () => {
+		freshdesk.use((req, next) =>
+			next().then((result) =>
+				result.error instanceof Freshdesk.FreshdeskServerError
+					? next()
+					: result
+			)
+		);
+
+		nock("https://test.freshdesk.com")
+			.get("/api/v2/tickets/1")
+			.reply(500)
+			.get("/api/v2/tickets/1")
+			.reply(200, { id: 1 });
+
+		return freshdesk.getTicket(1).then((data) => {
+			expect(data).to.deep.equal({ id: 1 });
+			expect(nock.isDone()).to.be.true;
+		});
+	});
+
+	it("should call middleware in the order it was added", () => {
+		const order = [];
+
+		freshdesk
+			.use((req, next) => {
+				order.push("first:before");
+				return next().then((result) => {
+					order.push("first:after");
+					return result;
+				});
+			})
+			.use((req, next) => {
+				order.push("second");
+				return { data: null };
+			});
+
+		return freshdesk.getTicket(1).then(() => {
+			expect(order).to.deep.equal([
+				"first:before",
+				"second",
+				"first:after",
+			]);
+		});
+	});
+
+	it("should reject when middleware throws", () => {
+		freshdesk.use(() => {
+			throw new Error("middleware failure");
+		});
+
+		return freshdesk.getTicket(1).then(
+			() => {
+				throw new Error("Promise should be rejected");
+			},
+			(err) => {
+				expect(err).has.property("message", "middleware failure");
+			}
+		);
+	});
+
+	it("should accept only functions", () => {
+		expect(() => freshdesk.use({})).to.throw(TypeError);
+	});
+});
@@ -0,0 +1,374 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2017 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+"use strict";
+
+const nock = require("nock");
+
+const Freshdesk = require("..");
+
+describe("api.pagination", function () {
+	const freshdesk = new Freshdesk("https://test.freshdesk.com", "TESTKEY");
+
+	function linkTo(path, page) {
+		return {
+			link: `<https://test.freshdesk.com${path}?per_page=2&page=${page}>; rel="next"`,
+		};
+	}
+
+	async function collect(iterator) {
+		const items = [];
+		for await (const item of iterator) {
+			items.push(item);
+		}
+		return items;
+	}
+
+	afterEach(() => {
+		nock.cleanAll();
+	});
+
+	it("should iterate over all pages of tickets", async () => {
+		nock("https://test.freshdesk.com")
+			.get("/api/v2/tickets")
+			.query({ per_page: 2, page: 1 })
+			.reply(200, [{ id: 1 }, { id: 2 }], linkTo("/api/v2/tickets", 2))
+			.get("/api/v2/tickets")
+			.query({ per_page: 2, page: 2 })
+			.reply(200, [{ id: 3 }, { id: 4 }], linkTo("/api/v2/tickets", 3))
+			.get("/api/v2/tickets")
+			.query({ per_page: 2, page: 3 })
+			.reply(200, [{ id: 5 }]);
+
+		const tickets = await collect(
+			freshdesk.iterateTickets({ per_page: 2 })
+		);
+
+		expect(tickets.map((t) => t.id)).to.deep.equal([1, 2, 3, 4, 5]);
+		expect(nock.isDone()).to.be.true;
+	});
+
+	it("should start from the given page", async () => {
+		nock("https://test.freshdesk.com")
+			.get("/api/v2/contacts")
+			.query({ page: 3 })
+			.reply(200, [{ id: 7 }]);
+
+		const contacts = await collect(freshdesk.iterateContacts({ page: 3 }));
+
+		expect(contacts).to.deep.equal([{ id: 7 }]);
+	});
+
+	it("should stop on an empty page", async () => {
+		nock("https://test.freshdesk.com")
+			.get("/api/v2/agents")
+			.query({ page: 1 })
+			.reply(200, [], linkTo("/api/v2/agents", 2));
+
+		const agents = await collect(freshdesk.iterateAgents());
+
+		expect(agents).to.deep.equal([]);
+	});
+
+	it("should not request pages after the limit", async () => {
+		nock("https://test.freshdesk.com")
+			.get("/api/v2/companies")
+			.query({ per_page: 2, page: 1 })
+			.reply(200, [{ id: 1 }, { id: 2 }], linkTo("/api/v2/companies", 2))
+			.get("/api/v2/companies")
+			.query({ per_page: 2, page: 2 })
+			.reply(200, [{ id: 3 }, { id: 4 }], linkTo("/api/v2/companies", 3));
+
+		const companies = await collect(
+			freshdesk.iterateCompanies({ per_page: 2 }, { limit: 3 })
+		);
+
+		expect(companies.map((c) => c.id)).to.deep.equal([1, 2, 3]);
+		expect(nock.isDone()).to.be.true;
+	});
+
+	it("should stop cleanly on break", async () => {
+		const scope = nock("https://test.freshdesk.com")
+			.get("/api/v2/time_entries")
+			.query({ per_page: 2, page: 1 })
+			.reply(
+				200,
+				[{ id: 1 }, { id: 2 }],
+				linkTo("/api/v2/time_entries", 2)
+			)
+			.get("/api/v2/time_entries")
+			.query({ per_page: 2, page: 2 })
+			.reply(200, [{ id: 3 }]);
+
+		const seen = [];
+		for await (const entry of freshdesk.iterateTimeEntries({
+			per_page: 2,
+		})) {
+			seen.push(entry.id);
+			if (entry.id === 2) {
+				break;
+			}
+		}
+
+		expect(seen).to.deep.equal([1, 2]);
+		expect(scope.pendingMocks()).to.have.length(1);
+	});
+
+	it("should follow the page from the Link header", async () => {
+		nock("https://test.freshdesk.com")
+			.get("/api/v2/tickets")
+			.query({ per_page: 2, page: 1 })
+			.reply(200, [{ id: 1 }, { id: 2 }], linkTo("/api/v2/tickets", 5))
+			.get("/api/v2/tickets")
+			.query({ per_page: 2, page: 5 })
+			.reply(200, [{ id: 9 }]);
+
+		const tickets = await collect(
+			freshdesk.iterateTickets({ per_page: 2 })
+		);
+
+		expect(tickets.map((t) => t.id)).to.deep.equal([1, 2, 9]);
+	});
+
+	it("should throw API errors from the loop", async () => {
+		nock("https://test.freshdesk.com")
+			.get("/api/v2/tickets")
+			.query({ page: 1 })
+			.reply(200, [{ id: 1 }], linkTo("/api/v2/tickets", 2))
+			.get("/api/v2/tickets")
+			.query({ page: 2 })
+			.reply(500, { message: "Server failure" });
+
+		const seen = [];
+		try {
+			for await (const ticket of freshdesk.iterateTickets()) {
+				seen.push(ticket.id);
+			}
+			throw new Error("Loop should throw");
+		} catch (err) {
+			expect(err).to.be.instanceof(Freshdesk.FreshdeskServerError);
+			expect(seen).to.deep.equal([1]);
+		}
+	});
+
+	describe("nextPage", () => {
+		it("should parse the Link header into extra", () => {
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/tickets")
+				.query({ per_page: 2 })
+				.reply(
+					200,
+					[{ id: 1 }, { id: 2 }],
+					linkTo("/api/v2/tickets", 2)
+				);
+
+			return freshdesk.listAllTickets({ per_page: 2 }).then((data) => {
+				expect(data.extra).to.include({
+					pageIsLast: false,
+					nextPage: 2,
+					nextUrl:
+						"https://test.freshdesk.com/api/v2/tickets?per_page=2&page=2",
+				});
+			});
+		});
+
+		it("should fetch the following pages", async () => {
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/contacts")
+				.query({ per_page: 2 })
+				.reply(
+					200,
+					[{ id: 1 }, { id: 2 }],
+					linkTo("/api/v2/contacts", 2)
+				)
+				.get("/api/v2/contacts")
+				.query({ per_page: 2, page: 2 })
+				.reply(200, [{ id: 3 }]);
+
+			const ids = [];
+			let contacts = await freshdesk.listAllContacts({ per_page: 2 });
+			while (contacts) {
+				contacts.forEach((contact) => ids.push(contact.id));
+				contacts = await freshdesk.nextPage(contacts.extra);
+			}
+
+			expect(ids).to.deep.equal([1, 2, 3]);
+			expect(nock.isDone()).to.be.true;
+		});
+
+		it("should pass null data to the callback on the last page", (done) => {
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/companies")
+				.reply(200, [{ id: 1 }]);
+
+			freshdesk.listAllCompanies((err, data, extra) => {
+				expect(err).is.null;
+				expect(extra).to.include({ nextPage: null, nextUrl: null });
+
+				freshdesk.nextPage(extra, (err, data) => {
+					expect(err).is.null;
+					expect(data).is.null;
+					done();
+				});
+			});
+		});
+	});
+
+	describe("search", () => {
+		// Fake search endpoint: `totals` maps queries to the count of results
+		function mockSearch(path, totals) {
+			const requests = [];
+
+			nock("https://test.freshdesk.com")
+				.get(path)
+				.query(true)
+				.times(Infinity)
+				.reply(200, (uri) => {
+					const params = new URL(uri, "https://test.freshdesk.com")
+						.searchParams;
+					const query = params.get("query").slice(1, -1);
+					const page = Number(params.get("page") || 1);
+					const total = totals[query];
+					requests.push([query, page]);
+
+					const results = [];
+					for (
+						let i = (page - 1) * 30;
+						i < Math.min(total, page * 30, 300);
+						i++
+					) {
+						results.push({ id: i, query: query });
+					}
+
+					return { total: total, results: results };
+				});
+
+			return requests;
+		}
+
+		it("should pass the page to filterContacts", () => {
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/search/contacts")
+				.query({ query: '"active:true"', page: 2 })
+				.reply(200, { total: 31, results: [{ id: 31 }] });
+
+			return freshdesk.filterContacts("active:true", 2).then((data) => {
+				expect(data.results).to.deep.equal([{ id: 31 }]);
+			});
+		});
+
+		it("should walk all pages of the query", async () => {
+			const requests = mockSearch("/api/v2/search/tickets", {
+				"status:2": 45,
+			});
+
+			const tickets = await collect(
+				freshdesk.iterateFilteredTickets("status:2")
+			);
+
+			expect(tickets).to.have.length(45);
+			expect(requests).to.deep.equal([
+				["status:2", 1],
+				["status:2", 2],
+			]);
+		});
+
+		it("should split the query by created_at", async () => {
+			const day = (from, to) =>
+				`(active:true) AND created_at:>'${from}' AND created_at:<'${to}'`;
+			const before = (to) => `(active:true) AND created_at:<'${to}'`;
+			const after = (from) => `(active:true) AND created_at:>'${from}'`;
+			const requests = mockSearch("/api/v2/search/contacts", {
+				"active:true": 400,
+				[before("2020-01-02")]: 40,
+				[after("2020-01-03")]: 360,
+				[day("2020-01-03", "2020-01-03")]: 290,
+				[after("2020-01-04")]: 70,
+			});
+
+			const contacts = await collect(
+				freshdesk.iterateFilteredContacts("active:true", {
+					from: "2020-01-01",
+					to: new Date("2020-01-04T12:00:00Z"),
+				})
+			);
+
+			// the first and the last windows are open-ended, so results,
+			// created outside of the `from`-`to` range, are fetched too
+			expect(contacts).to.have.length(400);
+			expect(
+				requests.filter((r) => r[1] === 1).map((r) => r[0])
+			).to.deep.equal([
+				"active:true",
+				before("2020-01-02"),
+				after("2020-01-03"),
+				day("2020-01-03", "2020-01-03"),
+				after("2020-01-04"),
+			]);
+		});
+
+		it("should fail when a single day exceeds the cap", async () => {
+			mockSearch("/api/v2/search/companies", {
+				"active:true": 400,
+				"(active:true) AND created_at:<'2020-01-01'": 301,
+				"(active:true) AND created_at:>'2020-01-02'": 99,
+			});
+
+			try {
+				await collect(
+					freshdesk.iterateFilteredCompanies("active:true", {
+						from: "2020-01-01",
+						to: "2020-01-02",
+					})
+				);
+				throw new Error("Iteration should fail");
+			} catch (err) {
+				expect(err.message).to.match(
+					/matches 301 results created on or before 2020-01-01/
+				);
+			}
+		});
+
+		it("should reject a query, too long to be split, before the first request", async () => {
+			const requests = mockSearch("/api/v2/search/tickets", {});
+			const query = `tag:'${"x".repeat(470)}'`;
+
+			try {
+				await collect(freshdesk.iterateFilteredTickets(query));
+				throw new Error("Iteration should fail");
+			} catch (err) {
+				expect(err).to.be.instanceof(RangeError);
+				expect(err.message).to.match(/too long to be split/);
+				expect(requests).to.have.length(0);
+			}
+		});
+
+		it("should stop at the limit", async () => {
+			const requests = mockSearch("/api/v2/search/tickets", {
+				"priority:1": 100,
+			});
+
+			const tickets = await collect(
+				freshdesk.iterateFilteredTickets("priority:1", { limit: 30 })
+			);
+
+			expect(tickets).to.have.length(30);
+			expect(requests).to.have.length(1);
+		});
+	});
+});
@@ -0,0 +1,107 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2017 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+"use strict";
+
+const nock = require("nock");
+
+const Freshdesk = require("..");
+
+describe("api.promise", function () {
+	const freshdesk = new Freshdesk("https://test.freshdesk.com", "TESTKEY");
+
+	afterEach(() => {
+		nock.cleanAll();
+	});
+
+	describe("when callback is omitted", () => {
+		it("should resolve with data and expose extra", () => {
+			const res = { id: 1, subject: "Ticket" };
+
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/tickets/1")
+				.reply(200, res, {
+					"x-request-id": "req-1",
+					link: '<https://test.freshdesk.com/api/v2/tickets/1?page=2>; rel="next"',
+				});
+
+			return freshdesk.getTicket(1).then((data) => {
+				expect(data).to.deep.equal(res);
+				expect(Object.keys(data)).to.deep.equal(["id", "subject"]);
+				expect(data.extra).to.be.an("object");
+				expect(data.extra).to.have.property("requestId", "req-1");
+				expect(data.extra).to.have.property("pageIsLast", false);
+			});
+		});
+
+		it("should resolve with null on 204 response", () => {
+			nock("https://test.freshdesk.com")
+				.delete("/api/v2/tickets/1")
+				.reply(204);
+
+			return freshdesk.deleteTicket(1).then((data) => {
+				expect(data).is.null;
+			});
+		});
+
+		it("should reject with FreshdeskError", () => {
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/tickets/2")
+				.reply(404);
+
+			return freshdesk.getTicket(2).then(
+				() => {
+					throw new Error("Promise should be rejected");
+				},
+				(err) => {
+					expect(err).to.be.instanceof(Freshdesk.FreshdeskError);
+					expect(err).has.property("status", 404);
+				}
+			);
+		});
+
+		it("should use the first page for filterTickets", () => {
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/search/tickets")
+				.query({ query: '"priority:3"', page: 1 })
+				.reply(200, { total: 0, results: [] });
+
+			return freshdesk.filterTickets("priority:3").then((data) => {
+				expect(data).to.deep.equal({ total: 0, results: [] });
+			});
+		});
+	});
+
+	describe("when callback is passed", () => {
+		it("should not return a promise", (done) => {
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/tickets/1")
+				.reply(200, {});
+
+			const ret = freshdesk.getTicket(1, (err, data, extra) => {
+				expect(err).is.null;
+				expect(data).to.deep.equal({});
+				expect(extra).to.be.an("object");
+
+				done();
+			});
+
+			expect(ret).is.undefined;
+		});
+	});
+});
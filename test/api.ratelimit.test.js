@@ -0,0 +1,158 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2017 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+"use strict";
+
+const nock = require("nock");
+
+const Freshdesk = require("..");
+
+describe("api.ratelimit", function () {
+	afterEach(() => {
+		nock.cleanAll();
+	});
+
+	describe("rate limit headers", () => {
+		it("should expose rate limit in extra and on the client", (done) => {
+			const freshdesk = new Freshdesk(
+				"https://test.freshdesk.com",
+				"TESTKEY"
+			);
+
+			expect(freshdesk.rateLimit).is.null;
+
+			nock("https://test.freshdesk.com").get("/api/v2/tickets/1").reply(
+				200,
+				{ id: 1 },
+				{
+					"x-ratelimit-total": "700",
+					"x-ratelimit-remaining": "698",
+					"x-ratelimit-used-currentrequest": "2",
+				}
+			);
+
+			freshdesk.getTicket(1, (err, data, extra) => {
+				expect(err).is.null;
+				expect(extra).has.property("rateLimitTotal", 700);
+				expect(extra).has.property("rateLimitRemaining", 698);
+				expect(extra).has.property("rateLimitUsedCurrentRequest", 2);
+
+				expect(freshdesk.rateLimit).to.include({
+					total: 700,
+					remaining: 698,
+					usedCurrentRequest: 2,
+				});
+				expect(freshdesk.rateLimit.updatedAt).to.be.instanceof(Date);
+
+				done();
+			});
+		});
+
+		it("should set null fields when headers are missing", (done) => {
+			const freshdesk = new Freshdesk(
+				"https://test.freshdesk.com",
+				"TESTKEY"
+			);
+
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/tickets/1")
+				.reply(200, { id: 1 });
+
+			freshdesk.getTicket(1, (err, data, extra) => {
+				expect(err).is.null;
+				expect(extra).has.property("rateLimitTotal", null);
+				expect(extra).has.property("rateLimitRemaining", null);
+				expect(extra).has.property("rateLimitUsedCurrentRequest", null);
+				expect(freshdesk.rateLimit).is.null;
+
+				done();
+			});
+		});
+	});
+
+	describe("on API response status 429", () => {
+		it("should retry after the Retry-After delay", (done) => {
+			const freshdesk = new Freshdesk(
+				"https://test.freshdesk.com",
+				"TESTKEY"
+			);
+
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/tickets/1")
+				.reply(429, {}, { "retry-after": "0" })
+				.get("/api/v2/tickets/1")
+				.reply(200, { id: 1 });
+
+			freshdesk.getTicket(1, (err, data) => {
+				expect(err).is.null;
+				expect(data).to.deep.equal({ id: 1 });
+				expect(nock.isDone()).to.be.true;
+
+				done();
+			});
+		});
+
+		it("should pass FreshdeskRateLimitError when retries are exhausted", (done) => {
+			const freshdesk = new Freshdesk(
+				"https://test.freshdesk.com",
+				"TESTKEY",
+				{ rateLimitRetries: 2 }
+			);
+
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/tickets/1")
+				.times(3)
+				.reply(
+					429,
+					{ description: "Too many" },
+					{ "retry-after": "0" }
+				);
+
+			freshdesk.getTicket(1, (err) => {
+				expect(err).to.be.instanceof(Freshdesk.FreshdeskRateLimitError);
+				expect(err).to.be.instanceof(Freshdesk.FreshdeskError);
+				expect(err).has.property("status", 429);
+				expect(err).has.property("retryAfter", 0);
+				expect(err).has.property("retries", 2);
+				expect(nock.isDone()).to.be.true;
+
+				done();
+			});
+		});
+
+		it("should not retry when rateLimitRetries is 0", (done) => {
+			const freshdesk = new Freshdesk(
+				"https://test.freshdesk.com",
+				"TESTKEY",
+				{ rateLimitRetries: 0 }
+			);
+
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/tickets/1")
+				.reply(429, {}, { "retry-after": "30" });
+
+			freshdesk.getTicket(1, (err) => {
+				expect(err).to.be.instanceof(Freshdesk.FreshdeskRateLimitError);
+				expect(err).has.property("retryAfter", 30);
+				expect(err).has.property("retries", 0);
+
+				done();
+			});
+		});
+	});
+});
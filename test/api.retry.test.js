@@ -0,0 +1,113 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2017 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+"use strict";
+
+const nock = require("nock");
+
+const Freshdesk = require("..");
+
+describe("api.retry", function () {
+	const freshdesk = new Freshdesk("https://test.freshdesk.com", "TESTKEY", {
+		retry: { maxAttempts: 3, baseDelay: 1 },
+	});
+
+	afterEach(() => {
+		nock.cleanAll();
+	});
+
+	it("should retry GET on network error", (done) => {
+		nock("https://test.freshdesk.com")
+			.get("/api/v2/tickets/1")
+			.replyWithError("socket hang up")
+			.get("/api/v2/tickets/1")
+			.reply(200, { id: 1 });
+
+		freshdesk.getTicket(1, (err, data) => {
+			expect(err).is.null;
+			expect(data).to.deep.equal({ id: 1 });
+			expect(nock.isDone()).to.be.true;
+
+			done();
+		});
+	});
+
+	it("should retry PUT on 503 until attempts are exhausted", (done) => {
+		nock("https://test.freshdesk.com")
+			.put("/api/v2/tickets/1")
+			.times(3)
+			.reply(503, { description: "Unavailable" });
+
+		freshdesk.updateTicket(1, { status: 2 }, (err) => {
+			expect(err).to.be.instanceof(Freshdesk.FreshdeskError);
+			expect(err).has.property("status", 503);
+			expect(nock.isDone()).to.be.true;
+
+			done();
+		});
+	});
+
+	it("should not retry statuses, missing in the policy", (done) => {
+		nock("https://test.freshdesk.com")
+			.get("/api/v2/tickets/1")
+			.reply(500, { description: "Internal" })
+			.get("/api/v2/tickets/1")
+			.reply(200, { id: 1 });
+
+		freshdesk.getTicket(1, (err) => {
+			expect(err).has.property("status", 500);
+			expect(nock.isDone()).to.be.false;
+
+			done();
+		});
+	});
+
+	it("should not retry POST by default", (done) => {
+		nock("https://test.freshdesk.com")
+			.post("/api/v2/tickets")
+			.reply(502, { description: "Bad gateway" })
+			.post("/api/v2/tickets")
+			.reply(201, { id: 1 });
+
+		freshdesk.createTicket({ subject: "Test" }, (err) => {
+			expect(err).has.property("status", 502);
+			expect(nock.isDone()).to.be.false;
+
+			done();
+		});
+	});
+
+	it("should retry POST, when it is explicitly allowed", (done) => {
+		const client = new Freshdesk("https://test.freshdesk.com", "TESTKEY", {
+			retry: { maxAttempts: 2, baseDelay: 1, methods: ["post"] },
+		});
+
+		nock("https://test.freshdesk.com")
+			.post("/api/v2/tickets")
+			.reply(502, { description: "Bad gateway" })
+			.post("/api/v2/tickets")
+			.reply(201, { id: 1 });
+
+		client.createTicket({ subject: "Test" }, (err, data) => {
+			expect(err).is.null;
+			expect(data).to.deep.equal({ id: 1 });
+
+			done();
+		});
+	});
+});
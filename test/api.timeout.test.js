@@ -0,0 +1,263 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2017 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+"use strict";
+
+const nock = require("nock");
+
+const Freshdesk = require("..");
+
+describe("api.timeout", function () {
+	afterEach(() => {
+		nock.cleanAll();
+	});
+
+	function expectRejected(promise, check) {
+		return promise.then(() => {
+			throw new Error("Promise should be rejected");
+		}, check);
+	}
+
+	describe("timeout", () => {
+		it("should reject with FreshdeskTimeoutError (client option)", () => {
+			const freshdesk = new Freshdesk(
+				"https://test.freshdesk.com",
+				"TESTKEY",
+				{ timeout: 20 }
+			);
+
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/tickets/1")
+				.delay(200)
+				.reply(200, { id: 1 });
+
+			return expectRejected(freshdesk.getTicket(1), (err) => {
+				expect(err).to.be.instanceof(Freshdesk.FreshdeskTimeoutError);
+				expect(err).to.be.instanceof(Freshdesk.FreshdeskNetworkError);
+				expect(err).has.property("timeout", 20);
+				expect(err).has.property("method", "GET");
+				expect(err).has.property("path", "/api/v2/tickets/1");
+				expect(err).has.property("attempts", 1);
+				expect(err).has.property("status", null);
+			});
+		});
+
+		it("should override the client option per call", () => {
+			const freshdesk = new Freshdesk(
+				"https://test.freshdesk.com",
+				"TESTKEY",
+				{ timeout: 20 }
+			);
+
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/tickets/1")
+				.delay(50)
+				.reply(200, { id: 1 });
+
+			return freshdesk.getTicket(1, { timeout: 1000 }).then((data) => {
+				expect(data).to.deep.equal({ id: 1 });
+			});
+		});
+
+		it("should cover retries", () => {
+			const freshdesk = new Freshdesk(
+				"https://test.freshdesk.com",
+				"TESTKEY",
+				{ retry: { maxAttempts: 5, baseDelay: 30, jitter: 0 } }
+			);
+
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/tickets/1")
+				.times(5)
+				.reply(503);
+
+			return expectRejected(
+				freshdesk.getTicket(1, { timeout: 50 }),
+				(err) => {
+					expect(err).to.be.instanceof(
+						Freshdesk.FreshdeskTimeoutError
+					);
+					expect(err.attempts).to.be.within(1, 2);
+				}
+			);
+		});
+
+		it("should stop waiting for the rate limit", () => {
+			const freshdesk = new Freshdesk(
+				"https://test.freshdesk.com",
+				"TESTKEY",
+				{ timeout: 50 }
+			);
+
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/tickets/1")
+				.reply(429, {}, { "retry-after": "5" });
+
+			// the timer of the wait should be cleared, not left running
+			const waits = [];
+			const cleared = [];
+			const setTimeoutOrig = global.setTimeout;
+			const clearTimeoutOrig = global.clearTimeout;
+			global.setTimeout = function (fn, ms) {
+				const timer = setTimeoutOrig.apply(this, arguments);
+				if (ms === 5000) {
+					waits.push(timer);
+				}
+				return timer;
+			};
+			global.clearTimeout = function (timer) {
+				cleared.push(timer);
+				return clearTimeoutOrig.apply(this, arguments);
+			};
+
+			const restore = () => {
+				global.setTimeout = setTimeoutOrig;
+				global.clearTimeout = clearTimeoutOrig;
+			};
+
+			return expectRejected(freshdesk.getTicket(1), (err) => {
+				restore();
+				expect(err).to.be.instanceof(Freshdesk.FreshdeskTimeoutError);
+				expect(waits).to.have.length(1);
+				expect(cleared).to.include(waits[0]);
+			}).catch((err) => {
+				restore();
+				throw err;
+			});
+		});
+
+		it("should leave the throttler queue", () => {
+			const freshdesk = new Freshdesk(
+				"https://test.freshdesk.com",
+				"TESTKEY",
+				{ throttle: { requestsPerMinute: 60, burst: 1 } }
+			);
+			const throttler = freshdesk._throttler;
+
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/tickets/1")
+				.reply(200, { id: 1 });
+
+			return freshdesk.getTicket(1).then(() =>
+				expectRejected(
+					freshdesk.getTicket(1, { timeout: 30 }),
+					(err) => {
+						expect(err).to.be.instanceof(
+							Freshdesk.FreshdeskTimeoutError
+						);
+						expect(err).has.property("attempts", 0);
+						expect(throttler.queue).to.have.length(0);
+						expect(throttler.timer).to.be.null;
+					}
+				)
+			);
+		});
+
+		it("should pass FreshdeskTimeoutError to the callback", (done) => {
+			const freshdesk = new Freshdesk(
+				"https://test.freshdesk.com",
+				"TESTKEY",
+				{ timeout: 20 }
+			);
+
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/tickets/1")
+				.delay(200)
+				.reply(200, { id: 1 });
+
+			freshdesk.getTicket(1, (err, data) => {
+				expect(err).to.be.instanceof(Freshdesk.FreshdeskTimeoutError);
+				expect(data).is.undefined;
+				done();
+			});
+		});
+	});
+
+	describe("signal", () => {
+		const freshdesk = new Freshdesk(
+			"https://test.freshdesk.com",
+			"TESTKEY"
+		);
+
+		beforeEach(function () {
+			// `AbortController` is global since Node 15
+			if (typeof AbortController === "undefined") {
+				this.skip();
+			}
+		});
+
+		it("should abort the call", () => {
+			const controller = new AbortController();
+
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/tickets")
+				.query({ page: 2 })
+				.delay(200)
+				.reply(200, []);
+
+			setTimeout(() => controller.abort(), 20);
+
+			return expectRejected(
+				freshdesk.listAllTickets(
+					{ page: 2 },
+					{ signal: controller.signal }
+				),
+				(err) => {
+					expect(err).to.be.instanceof(Freshdesk.FreshdeskAbortError);
+					expect(err).to.be.instanceof(
+						Freshdesk.FreshdeskNetworkError
+					);
+					expect(err).has.property("path", "/api/v2/tickets");
+				}
+			);
+		});
+
+		it("should not send the call with an aborted signal", () => {
+			const controller = new AbortController();
+			controller.abort();
+
+			const scope = nock("https://test.freshdesk.com")
+				.get("/api/v2/tickets/1")
+				.reply(200, { id: 1 });
+
+			return expectRejected(
+				freshdesk.getTicket(1, { signal: controller.signal }),
+				(err) => {
+					expect(err).to.be.instanceof(Freshdesk.FreshdeskAbortError);
+					expect(err).has.property("attempts", 0);
+					expect(scope.isDone()).to.be.false;
+				}
+			);
+		});
+
+		it("should shift params of filterTickets", () => {
+			const controller = new AbortController();
+
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/search/tickets")
+				.query({ query: '"status:2"', page: 1 })
+				.reply(200, { total: 0, results: [] });
+
+			return freshdesk
+				.filterTickets("status:2", { signal: controller.signal })
+				.then((data) => {
+					expect(data).to.deep.equal({ total: 0, results: [] });
+				});
+		});
+	});
+});
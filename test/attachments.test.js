@@ -0,0 +1,407 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2017 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const nock = require("nock");
+const { Readable } = require("stream");
+
+const Freshdesk = require("..");
+const attachments = require("../lib/attachments");
+
+const SECURITY_MD = path.resolve(__dirname, "../SECURITY.md");
+
+describe("attachments.test", function () {
+	describe("normalizeAttachment", () => {
+		const testCases = [
+			["path", SECURITY_MD, "path", "SECURITY.md", null],
+			["Buffer", Buffer.from("x"), "binary", "attachment-1", null],
+			[
+				"file stream",
+				fs.createReadStream(SECURITY_MD),
+				"stream",
+				"SECURITY.md",
+				null,
+			],
+			["stream", Readable.from(["x"]), "stream", "attachment-1", null],
+			[
+				"Buffer with metadata",
+				{
+					content: Buffer.from("x"),
+					filename: "a.csv",
+					contentType: "text/csv",
+				},
+				"binary",
+				"a.csv",
+				"text/csv",
+			],
+			[
+				"text",
+				{ content: "hello", filename: "a.txt" },
+				"binary",
+				"a.txt",
+				"text/plain",
+			],
+			[
+				"path with metadata",
+				{ path: SECURITY_MD, filename: "policy.md" },
+				"path",
+				"policy.md",
+				null,
+			],
+		];
+
+		testCases.forEach((tc) => {
+			it(`should recognize ${tc[0]}`, () => {
+				expect(attachments.normalizeAttachment(tc[1], 0)).to.include({
+					source: tc[2],
+					filename: tc[3],
+					contentType: tc[4],
+				});
+			});
+		});
+
+		it("should recognize Blob", function () {
+			// `Blob` is global since Node 18
+			if (typeof Blob === "undefined") {
+				this.skip();
+			}
+
+			expect(
+				attachments.normalizeAttachment(
+					new Blob(["x"], { type: "text/plain" }),
+					0
+				)
+			).to.include({
+				source: "blob",
+				filename: "attachment-1",
+				contentType: "text/plain",
+			});
+		});
+
+		const invalidCases = [
+			["nothing", undefined],
+			["number", 42],
+			["empty path", ""],
+			["object without content", { filename: "a.txt" }],
+		];
+
+		invalidCases.forEach((tc) => {
+			it(`should reject ${tc[0]}`, () => {
+				expect(() =>
+					attachments.normalizeAttachment(tc[1], 1)
+				).to.throw(TypeError, /Unsupported attachment #2/);
+			});
+		});
+	});
+
+	describe("appendField", () => {
+		// records appended fields, like `FormData#entries()`
+		function entriesOf(name, value) {
+			const entries = [];
+			const form = { append: (key, text) => entries.push([key, text]) };
+			attachments.appendField(form, name, value);
+
+			return entries;
+		}
+
+		const testCases = [
+			["subject", "Test", [["subject", "Test"]]],
+			["priority", 1, [["priority", "1"]]],
+			["urgent", false, [["urgent", "false"]]],
+			["group_id", null, [["group_id", ""]]],
+			["group_id", undefined, []],
+			[
+				"due_by",
+				new Date("2020-01-31T10:00:00Z"),
+				[["due_by", "2020-01-31T10:00:00.000Z"]],
+			],
+			[
+				"cc_emails",
+				["a@x.com", "b@x.com"],
+				[
+					["cc_emails[]", "a@x.com"],
+					["cc_emails[]", "b@x.com"],
+				],
+			],
+			["tags", [], []],
+			[
+				"custom_fields",
+				{ cf_region: "EU", cf_seats: 10, cf_vip: true },
+				[
+					["custom_fields[cf_region]", "EU"],
+					["custom_fields[cf_seats]", "10"],
+					["custom_fields[cf_vip]", "true"],
+				],
+			],
+			[
+				"custom_fields",
+				{ cf_products: ["a", "b"] },
+				[
+					["custom_fields[cf_products][]", "a"],
+					["custom_fields[cf_products][]", "b"],
+				],
+			],
+		];
+
+		testCases.forEach((tc) => {
+			it(`should encode [${tc[0]}: ${JSON.stringify(tc[1])}]`, () => {
+				expect(entriesOf(tc[0], tc[1])).to.deep.equal(tc[2]);
+			});
+		});
+	});
+
+	describe("createTicket", () => {
+		const freshdesk = new Freshdesk(
+			"https://test.freshdesk.com",
+			"TESTKEY"
+		);
+
+		afterEach(() => {
+			nock.cleanAll();
+		});
+
+		function expectMultipart(attachment, parts) {
+			let sent = null;
+			nock("https://test.freshdesk.com")
+				.post("/api/v2/tickets", (body) => {
+					sent = body;
+					return true;
+				})
+				.reply(201, { id: 1 });
+
+			return freshdesk
+				.createTicket({
+					subject: "Test",
+					urgent: true,
+					cc_emails: ["a@x.com"],
+					custom_fields: { cf_region: "EU", cf_seats: 10 },
+					attachments: [attachment],
+				})
+				.then((data) => {
+					expect(data).to.deep.equal({ id: 1 });
+					parts.forEach((part) => expect(sent).to.include(part));
+				});
+		}
+
+		it("should send the file by path", () =>
+			expectMultipart(SECURITY_MD, [
+				'name="attachments[]"; filename="SECURITY.md"',
+				fs.readFileSync(SECURITY_MD, "utf-8").slice(0, 50),
+			]));
+
+		it("should send the Buffer with metadata", () =>
+			expectMultipart(
+				{
+					content: Buffer.from("id,name"),
+					filename: "report.csv",
+					contentType: "text/csv",
+				},
+				[
+					'name="attachments[]"; filename="report.csv"',
+					"Content-Type: text/csv",
+					"id,name",
+				]
+			));
+
+		it("should send the stream", () =>
+			expectMultipart(Readable.from(["streamed content"]), [
+				'name="attachments[]"; filename="attachment-1"',
+				"streamed content",
+			]));
+
+		it("should send the Blob", function () {
+			// `File` is global since Node 20
+			if (typeof File === "undefined") {
+				this.skip();
+			}
+
+			return expectMultipart(
+				new File(["blob content"], "note.txt", { type: "text/plain" }),
+				[
+					'name="attachments[]"; filename="note.txt"',
+					"Content-Type: text/plain",
+					"blob content",
+				]
+			);
+		});
+
+		it("should send nested fields", () =>
+			expectMultipart(SECURITY_MD, [
+				'name="custom_fields[cf_region]"\r\n\r\nEU\r\n',
+				'name="custom_fields[cf_seats]"\r\n\r\n10\r\n',
+				'name="cc_emails[]"\r\n\r\na@x.com\r\n',
+				'name="urgent"\r\n\r\ntrue\r\n',
+			]));
+
+		function expectInvalid(client, attachments, errors) {
+			const scope = nock("https://test.freshdesk.com")
+				.post("/api/v2/tickets")
+				.reply(201, { id: 1 });
+
+			return client
+				.createTicket({ subject: "Test", attachments: attachments })
+				.then(
+					() => {
+						throw new Error("Promise should be rejected");
+					},
+					(err) => {
+						expect(err).to.be.instanceof(
+							Freshdesk.FreshdeskValidationError
+						);
+						expect(err).has.property(
+							"apiTarget",
+							"POST /api/v2/tickets"
+						);
+						expect(
+							err.errors.map((error) => [error.field, error.code])
+						).to.deep.equal(errors);
+						expect(scope.isDone()).to.be.false;
+					}
+				);
+		}
+
+		it("should reject unsupported attachments", () =>
+			expectInvalid(
+				freshdesk,
+				[SECURITY_MD, 42, { filename: "a.txt" }],
+				[
+					["attachments[1]", "datatype_mismatch"],
+					["attachments[2]", "datatype_mismatch"],
+				]
+			));
+
+		it("should reject missing files", () =>
+			expectInvalid(
+				freshdesk,
+				[path.resolve(__dirname, "missing.txt")],
+				[["attachments[0]", "invalid_value"]]
+			));
+
+		it("should reject attachments larger than 20 MB in total", () =>
+			expectInvalid(
+				freshdesk,
+				[
+					Buffer.alloc(attachments.MAX_TOTAL_SIZE - 10),
+					{ content: "more than 10 bytes" },
+				],
+				[["attachments", "invalid_size"]]
+			));
+
+		it("should reject too many attachments", () => {
+			const client = new Freshdesk("https://test.freshdesk.com", "KEY", {
+				attachments: { maxCount: 1 },
+			});
+
+			return expectInvalid(
+				client,
+				[SECURITY_MD, SECURITY_MD],
+				[["attachments", "invalid_value"]]
+			);
+		});
+
+		it("should stop reading streams over the limit", () => {
+			const client = new Freshdesk("https://test.freshdesk.com", "KEY", {
+				attachments: { maxTotalSize: 10 },
+			});
+			let read = 0;
+			const stream = new Readable({
+				read() {
+					read++;
+					this.push(read > 1000 ? null : Buffer.alloc(1024));
+				},
+			});
+
+			return expectInvalid(
+				client,
+				[stream],
+				[["attachments", "invalid_size"]]
+			).then(() => {
+				expect(read).to.be.below(100);
+				expect(stream.destroyed).to.be.true;
+			});
+		});
+
+		it("should measure files without reading them", () => {
+			const size = fs.statSync(SECURITY_MD).size;
+			const client = new Freshdesk("https://test.freshdesk.com", "KEY", {
+				attachments: { maxTotalSize: size - 1 },
+			});
+			const stream = fs.createReadStream(SECURITY_MD);
+
+			return expectInvalid(
+				client,
+				[stream],
+				[["attachments", "invalid_size"]]
+			).then(() => {
+				expect(stream.bytesRead).equal(0);
+			});
+		});
+
+		it("should accept attachments within the limit", () => {
+			const client = new Freshdesk("https://test.freshdesk.com", "KEY", {
+				attachments: { maxTotalSize: 10 },
+			});
+			nock("https://test.freshdesk.com")
+				.post("/api/v2/tickets", (body) => body.includes("0123456789"))
+				.reply(201, { id: 1 });
+
+			return client.createTicket({
+				subject: "Test",
+				attachments: [Readable.from(["01234", "56789"])],
+			});
+		});
+
+		it("should send the file by path with the native FormData", function () {
+			// `FormData` and `Blob` are global since Node 18
+			if (
+				typeof FormData === "undefined" ||
+				typeof Blob === "undefined"
+			) {
+				this.skip();
+			}
+
+			const calls = [];
+			const client = new Freshdesk(
+				"https://test.freshdesk.com",
+				"TESTKEY",
+				{
+					transport: (url, init) => {
+						calls.push(init);
+						return Promise.resolve({
+							status: 201,
+							headers: new Map(),
+							text: () => Promise.resolve("{}"),
+						});
+					},
+				}
+			);
+
+			return client
+				.createNote(1, { body: "Note", attachments: [SECURITY_MD] })
+				.then(() => {
+					const file = calls[0].body.get("attachments[]");
+
+					expect(file.name).equal("SECURITY.md");
+					expect(file.size).equal(fs.statSync(SECURITY_MD).size);
+				});
+		});
+	});
+});
@@ -0,0 +1,380 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2017 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const nock = require("nock");
+const { PassThrough } = require("stream");
+
+const Freshdesk = require("..");
+const download = require("../lib/download");
+
+describe("download.test", function () {
+	const freshdesk = new Freshdesk("https://test.freshdesk.com", "TESTKEY");
+	let dir = null;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "freshdesk-"));
+	});
+
+	afterEach(() => {
+		nock.cleanAll();
+		// `fs.rmSync` is available since Node 14.14
+		(fs.rmSync || fs.rmdirSync)(dir, { recursive: true, force: true });
+	});
+
+	const attachment = {
+		id: 5,
+		name: "report.csv",
+		content_type: "text/csv",
+		size: 7,
+		attachment_url:
+			"https://s3.amazonaws.com/attachments/5/report.csv?sig=x",
+	};
+
+	describe("safeFileName", () => {
+		const testCases = [
+			["report.pdf", "report.pdf"],
+			["../../etc/passwd", "_.._etc_passwd"],
+			["..\\evil.exe", "_evil.exe"],
+			["a:b*c?.txt", "a_b_c_.txt"],
+			[".hidden", "hidden"],
+			["CON.txt", "_CON.txt"],
+			["", "fallback"],
+			["...", "fallback"],
+			["x".repeat(300) + ".pdf", "x".repeat(196) + ".pdf"],
+		];
+
+		testCases.forEach((tc) => {
+			it(`should make [${tc[0].slice(0, 20)}] safe`, () => {
+				expect(download.safeFileName(tc[0], "fallback")).equal(tc[1]);
+			});
+		});
+	});
+
+	describe("downloadAttachment", () => {
+		it("should save the attachment to the file", () => {
+			nock("https://s3.amazonaws.com", { badheaders: ["authorization"] })
+				.get("/attachments/5/report.csv")
+				.query({ sig: "x" })
+				.reply(200, "id,name");
+
+			const file = path.join(dir, "report.csv");
+
+			return freshdesk
+				.downloadAttachment(attachment, file)
+				.then((data) => {
+					expect(data).to.deep.equal({
+						id: 5,
+						name: "report.csv",
+						path: file,
+						size: 7,
+						contentType: "text/csv",
+						conversationId: null,
+					});
+					expect(fs.readFileSync(file, "utf-8")).equal("id,name");
+				});
+		});
+
+		it("should send credentials to the domain of the account", (done) => {
+			nock("https://test.freshdesk.com", {
+				reqheaders: { Authorization: freshdesk._auth },
+			})
+				.get("/attachments/5")
+				.reply(200, "content");
+
+			const output = new PassThrough();
+			const chunks = [];
+			output.on("data", (chunk) => chunks.push(chunk));
+
+			freshdesk.downloadAttachment(
+				"https://test.freshdesk.com/attachments/5",
+				output,
+				(err, data) => {
+					expect(err).is.null;
+					expect(data).to.include({ path: null, size: 7 });
+					expect(Buffer.concat(chunks).toString()).equal("content");
+					done();
+				}
+			);
+		});
+
+		it("should verify the size of the attachment", () => {
+			nock("https://s3.amazonaws.com")
+				.get("/attachments/5/report.csv")
+				.query(true)
+				.reply(200, "id");
+
+			const file = path.join(dir, "report.csv");
+
+			return freshdesk.downloadAttachment(attachment, file).then(
+				() => {
+					throw new Error("Promise should be rejected");
+				},
+				(err) => {
+					expect(err).to.be.instanceof(Freshdesk.FreshdeskError);
+					expect(err.message).to.include("but 7 bytes are expected");
+					expect(fs.existsSync(file)).to.be.false;
+				}
+			);
+		});
+
+		it("should not verify the size of the compressed attachment", () => {
+			const body = new PassThrough();
+			body.end("id,name");
+			const client = new Freshdesk(
+				"https://test.freshdesk.com",
+				"TESTKEY",
+				{
+					// fetch reports headers of the compressed body, and decompresses it
+					transport: () =>
+						Promise.resolve({
+							status: 200,
+							headers: new Map([
+								["content-encoding", "gzip"],
+								["content-length", "3"],
+							]),
+							body: body,
+						}),
+				}
+			);
+
+			const file = path.join(dir, "report.csv");
+
+			return client
+				.downloadAttachment(attachment.attachment_url, file)
+				.then((data) => {
+					expect(data).to.include({ path: file, size: 7 });
+					expect(fs.readFileSync(file, "utf-8")).equal("id,name");
+				});
+		});
+
+		it("should pass FreshdeskError for expired URLs", () => {
+			nock("https://s3.amazonaws.com")
+				.get("/attachments/5/report.csv")
+				.query(true)
+				.reply(403, "<Error>Request has expired</Error>");
+
+			const file = path.join(dir, "report.csv");
+
+			return freshdesk.downloadAttachment(attachment, file).then(
+				() => {
+					throw new Error("Promise should be rejected");
+				},
+				(err) => {
+					expect(err).to.be.instanceof(
+						Freshdesk.FreshdeskPermissionError
+					);
+					expect(err).has.property("status", 403);
+					expect(fs.existsSync(file)).to.be.false;
+				}
+			);
+		});
+
+		it("should download with the fetch transport", function () {
+			// `Response` is global since Node 18
+			if (typeof Response === "undefined") {
+				this.skip();
+			}
+
+			const client = new Freshdesk("https://test.freshdesk.com", "KEY", {
+				transport: () =>
+					Promise.resolve(
+						new Response("id,name", {
+							headers: { "Content-Type": "text/csv" },
+						})
+					),
+			});
+			const file = path.join(dir, "report.csv");
+
+			return client.downloadAttachment(attachment, file).then((data) => {
+				expect(data).to.include({ size: 7 });
+				expect(fs.readFileSync(file, "utf-8")).equal("id,name");
+			});
+		});
+
+		it("should time out a stalled download", () => {
+			const client = new Freshdesk("https://test.freshdesk.com", "KEY", {
+				timeout: 100,
+			});
+			const file = path.join(dir, "report.csv");
+			const body = new PassThrough();
+			body.write("id,");
+
+			nock("https://s3.amazonaws.com")
+				.get("/attachments/5/report.csv")
+				.query({ sig: "x" })
+				.reply(200, () => body);
+
+			return client.downloadAttachment(attachment, file).then(
+				() => {
+					throw new Error("Promise should be rejected");
+				},
+				(err) => {
+					body.destroy();
+					expect(err).to.be.instanceof(
+						Freshdesk.FreshdeskTimeoutError
+					);
+					expect(err).has.property("timeout", 100);
+					expect(fs.existsSync(file)).to.be.false;
+				}
+			);
+		});
+
+		it("should not download with an aborted signal", function () {
+			// `AbortController` is global since Node 15
+			if (typeof AbortController === "undefined") {
+				this.skip();
+			}
+
+			const controller = new AbortController();
+			controller.abort();
+
+			const scope = nock("https://s3.amazonaws.com")
+				.get("/attachments/5/report.csv")
+				.query({ sig: "x" })
+				.reply(200, "id,name");
+
+			return freshdesk
+				.downloadAttachment(attachment, path.join(dir, "report.csv"), {
+					signal: controller.signal,
+				})
+				.then(
+					() => {
+						throw new Error("Promise should be rejected");
+					},
+					(err) => {
+						expect(err).to.be.instanceof(
+							Freshdesk.FreshdeskAbortError
+						);
+						expect(scope.isDone()).to.be.false;
+					}
+				);
+		});
+
+		it("should reject invalid arguments", () => {
+			const rejected = (promise) =>
+				promise.then(
+					() => {
+						throw new Error("Promise should be rejected");
+					},
+					(err) => expect(err).to.be.instanceof(TypeError)
+				);
+
+			return Promise.all([
+				rejected(freshdesk.downloadAttachment({ id: 1 }, dir)),
+				rejected(freshdesk.downloadAttachment(attachment, null)),
+			]);
+		});
+	});
+
+	describe("downloadTicketAttachments", () => {
+		const file = (id, name, content) => ({
+			id: id,
+			name: name,
+			size: content.length,
+			attachment_url: `https://s3.amazonaws.com/attachments/${id}`,
+		});
+
+		it("should save attachments of the ticket and conversations", () => {
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/tickets/1")
+				.reply(200, {
+					id: 1,
+					attachments: [
+						file(1, "report.pdf", "one"),
+						file(2, "../evil.txt", "two"),
+					],
+				})
+				.get("/api/v2/tickets/1/conversations")
+				.reply(200, [{ id: 10, attachments: [] }], {
+					Link: '<https://test.freshdesk.com/api/v2/tickets/1/conversations?page=2>; rel="next"',
+				})
+				.get("/api/v2/tickets/1/conversations")
+				.query({ page: 2 })
+				.reply(200, [
+					{ id: 11, attachments: [file(3, "Report.pdf", "three")] },
+				]);
+			nock("https://s3.amazonaws.com")
+				.get("/attachments/1")
+				.reply(200, "one")
+				.get("/attachments/2")
+				.reply(200, "two")
+				.get("/attachments/3")
+				.reply(200, "three");
+
+			const target = path.join(dir, "ticket-1");
+
+			return freshdesk
+				.downloadTicketAttachments(1, target)
+				.then((data) => {
+					expect(
+						data.map((item) => [
+							item.id,
+							path.basename(item.path),
+							item.conversationId,
+						])
+					).to.deep.equal([
+						[1, "report.pdf", null],
+						[2, "_evil.txt", null],
+						[3, "Report (1).pdf", 11],
+					]);
+					expect(fs.readdirSync(target).sort()).to.deep.equal([
+						"Report (1).pdf",
+						"_evil.txt",
+						"report.pdf",
+					]);
+					expect(
+						fs.readFileSync(
+							path.join(target, "Report (1).pdf"),
+							"utf-8"
+						)
+					).equal("three");
+				});
+		});
+
+		it("should not overwrite files in the directory", () => {
+			fs.writeFileSync(path.join(dir, "REPORT.pdf"), "old");
+
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/tickets/1")
+				.reply(200, {
+					id: 1,
+					attachments: [file(1, "report.pdf", "one")],
+				})
+				.get("/api/v2/tickets/1/conversations")
+				.reply(200, []);
+			nock("https://s3.amazonaws.com")
+				.get("/attachments/1")
+				.reply(200, "one");
+
+			return freshdesk.downloadTicketAttachments(1, dir).then((data) => {
+				expect(path.basename(data[0].path)).equal("report (1).pdf");
+				expect(
+					fs.readFileSync(path.join(dir, "REPORT.pdf"), "utf-8")
+				).equal("old");
+				expect(
+					fs.readFileSync(path.join(dir, "report (1).pdf"), "utf-8")
+				).equal("one");
+			});
+		});
+	});
+});
@@ -0,0 +1,336 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2017 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const url = require("url");
+const nock = require("nock");
+
+const Freshdesk = require("..");
+
+// nock hex-encodes binary bodies, so the content of the "image" is a text
+const PNG = Buffer.from("PNG image");
+
+describe("inline.test", function () {
+	const freshdesk = new Freshdesk("https://test.freshdesk.com", "TESTKEY");
+	let dir = null;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "freshdesk-"));
+		fs.writeFileSync(path.join(dir, "logo.png"), PNG);
+	});
+
+	afterEach(() => {
+		nock.cleanAll();
+		// `fs.rmSync` is available since Node 14.14
+		(fs.rmSync || fs.rmdirSync)(dir, { recursive: true, force: true });
+	});
+
+	function uploaded(id) {
+		return {
+			id: id,
+			name: `image-${id}.png`,
+			attachment_url: `https://test.freshdesk.com/inline/attachment?token=${id}`,
+		};
+	}
+
+	it("should delete the attachment", () => {
+		nock("https://test.freshdesk.com")
+			.delete("/api/v2/attachments/5")
+			.reply(204);
+
+		return freshdesk.deleteAttachment(5).then((data) => {
+			expect(data).is.null;
+		});
+	});
+
+	it("should upload the inline image", () => {
+		nock("https://test.freshdesk.com")
+			.post(
+				"/api/v2/attachments",
+				(body) =>
+					body.includes('name="inline"\r\n\r\ntrue\r\n') &&
+					body.includes('name="content"; filename="logo.png"') &&
+					body.includes("Content-Type: image/png")
+			)
+			.reply(201, uploaded(1));
+
+		return freshdesk
+			.uploadInlineImage(path.join(dir, "logo.png"))
+			.then((data) => {
+				expect(data).to.deep.equal(uploaded(1));
+			});
+	});
+
+	it("should create the ticket with inline images", () => {
+		const uploads = [];
+		nock("https://test.freshdesk.com")
+			.post("/api/v2/attachments", (body) => {
+				uploads.push(body);
+				return true;
+			})
+			.reply(201, uploaded(101))
+			.post("/api/v2/attachments")
+			.reply(201, uploaded(102))
+			.post("/api/v2/tickets", {
+				subject: "Layout",
+				description:
+					'<p><img src="https://test.freshdesk.com/inline/attachment?token=101" data-id="101" alt="logo">' +
+					"<img src='https://test.freshdesk.com/inline/attachment?token=102' data-id='102'>" +
+					'<img src="https://cdn.example.com/x.png">' +
+					'<img class="x" src="https://test.freshdesk.com/inline/attachment?token=101" data-id="101"></p>',
+				inline_attachment_ids: [101, 102],
+			})
+			.reply(201, { id: 1 });
+
+		return freshdesk
+			.createTicketWithInlineImages(
+				{
+					subject: "Layout",
+					description:
+						'<p><img src="./logo.png" alt="logo">' +
+						`<img src='data:image/png;base64,${PNG.toString(
+							"base64"
+						)}'>` +
+						'<img src="https://cdn.example.com/x.png">' +
+						'<img class="x" src="./logo.png"></p>',
+				},
+				{ baseDir: dir }
+			)
+			.then((data) => {
+				expect(data).to.deep.equal({ id: 1 });
+				expect(data.extra).to.have.property("pageIsLast", true);
+				expect(uploads[0]).to.include('filename="logo.png"');
+				expect(nock.isDone()).to.be.true;
+			});
+	});
+
+	it("should reply with images from the option", (done) => {
+		nock("https://test.freshdesk.com")
+			.post("/api/v2/attachments", (body) =>
+				body.includes('filename="chart.png"')
+			)
+			.reply(201, uploaded(7))
+			.post("/api/v2/tickets/3/reply", {
+				body: '<img src="https://test.freshdesk.com/inline/attachment?token=7" data-id="7">',
+				inline_attachment_ids: [5, 7],
+			})
+			.reply(201, { id: 9 });
+
+		freshdesk.createReplyWithInlineImages(
+			3,
+			{ body: '<img src="chart">', inline_attachment_ids: [5] },
+			{
+				images: {
+					chart: {
+						content: PNG,
+						filename: "chart.png",
+						contentType: "image/png",
+					},
+				},
+			},
+			(err, data) => {
+				expect(err).is.null;
+				expect(data).to.deep.equal({ id: 9 });
+				done();
+			}
+		);
+	});
+
+	it("should send the ticket as is without local images", () => {
+		const ticket = {
+			subject: "Hosted",
+			description: '<img src="https://cdn.example.com/x.png">',
+		};
+		nock("https://test.freshdesk.com")
+			.post("/api/v2/tickets", ticket)
+			.reply(201, { id: 1 });
+
+		return freshdesk.createTicketWithInlineImages(ticket);
+	});
+
+	it("should delete uploaded images, when the ticket is not created", () => {
+		nock("https://test.freshdesk.com")
+			.post("/api/v2/attachments")
+			.reply(201, uploaded(101))
+			.post("/api/v2/tickets")
+			.reply(400, { description: "Validation failed", errors: [] })
+			.delete("/api/v2/attachments/101")
+			.reply(204);
+
+		return freshdesk
+			.createTicketWithInlineImages(
+				{ description: '<img src="logo.png">' },
+				{ baseDir: dir }
+			)
+			.then(
+				() => {
+					throw new Error("Promise should be rejected");
+				},
+				(err) => {
+					expect(err).to.be.instanceof(
+						Freshdesk.FreshdeskValidationError
+					);
+					expect(nock.isDone()).to.be.true;
+				}
+			);
+	});
+
+	it("should apply the per-call options to the uploads", () => {
+		nock("https://test.freshdesk.com")
+			.post("/api/v2/attachments")
+			.delay(200)
+			.reply(201, uploaded(101));
+
+		return freshdesk
+			.createTicketWithInlineImages(
+				{ description: '<img src="logo.png">' },
+				{ baseDir: dir },
+				{ timeout: 20 }
+			)
+			.then(
+				() => {
+					throw new Error("Promise should be rejected");
+				},
+				(err) => {
+					expect(err).to.be.instanceof(
+						Freshdesk.FreshdeskTimeoutError
+					);
+					expect(err).has.property("path", "/api/v2/attachments");
+				}
+			);
+	});
+
+	it("should apply the per-call options to the reply and the cleanup", () => {
+		nock("https://test.freshdesk.com")
+			.post("/api/v2/attachments")
+			.reply(201, uploaded(101))
+			.post("/api/v2/tickets/1/reply")
+			.delay(200)
+			.reply(201, { id: 7 })
+			.delete("/api/v2/attachments/101")
+			.reply(204);
+
+		return freshdesk
+			.createReplyWithInlineImages(
+				1,
+				{ body: '<img src="logo.png">' },
+				{ baseDir: dir },
+				{ timeout: 20 }
+			)
+			.then(
+				() => {
+					throw new Error("Promise should be rejected");
+				},
+				(err) => {
+					expect(err).to.be.instanceof(
+						Freshdesk.FreshdeskTimeoutError
+					);
+					expect(err).has.property("path", "/api/v2/tickets/1/reply");
+					expect(nock.isDone()).to.be.true;
+				}
+			);
+	});
+
+	it("should reject paths, leading outside of the baseDir", () => {
+		const scope = nock("https://test.freshdesk.com")
+			.post("/api/v2/attachments")
+			.reply(201, uploaded(101));
+
+		const sources = [
+			"../../../../etc/hostname",
+			"sub/../../logo.png",
+			"/etc/hostname",
+			"file:///etc/hostname",
+		];
+
+		return Promise.all(
+			sources.map((src) =>
+				freshdesk
+					.createTicketWithInlineImages(
+						{ description: `<img src="${src}">` },
+						{ baseDir: path.join(dir, "uploads") }
+					)
+					.then(
+						() => {
+							throw new Error("Promise should be rejected");
+						},
+						(err) => {
+							expect(err).to.be.instanceof(TypeError);
+							expect(err.message).to.include(src);
+						}
+					)
+			)
+		).then(() => {
+			expect(scope.isDone()).to.be.false;
+		});
+	});
+
+	it("should upload absolute paths with allowAbsolutePaths", () => {
+		const file = path.join(dir, "logo.png");
+		nock("https://test.freshdesk.com")
+			.post("/api/v2/attachments", (body) =>
+				body.includes('filename="logo.png"')
+			)
+			.times(2)
+			.reply(201, uploaded(101))
+			.post("/api/v2/tickets")
+			.reply(201, { id: 1 });
+
+		return freshdesk
+			.createTicketWithInlineImages(
+				{
+					description:
+						`<img src="${file}">` +
+						`<img src="${url.pathToFileURL(file).href}">`,
+				},
+				{ allowAbsolutePaths: true }
+			)
+			.then((data) => {
+				expect(data).to.deep.equal({ id: 1 });
+				expect(nock.isDone()).to.be.true;
+			});
+	});
+
+	it("should not upload anything, when an image is missing", () => {
+		const scope = nock("https://test.freshdesk.com")
+			.post("/api/v2/attachments")
+			.reply(201, uploaded(101));
+
+		return freshdesk
+			.createTicketWithInlineImages(
+				{ description: '<img src="missing.png">' },
+				{ baseDir: dir }
+			)
+			.then(
+				() => {
+					throw new Error("Promise should be rejected");
+				},
+				(err) => {
+					expect(err).to.be.instanceof(
+						Freshdesk.FreshdeskValidationError
+					);
+					expect(err.errors[0]).to.include({ field: "content" });
+					expect(scope.isDone()).to.be.false;
+				}
+			);
+	});
+});
@@ -24,4 +24,14 @@ describe("module test", function () {
 	it("should export Freshdesk constructor", () => {
 		expect(freshdesk).to.be.a("function");
 	});
+
+	it("should expose the canonical domain and API root", () => {
+		const client = new freshdesk("acme.freshdesk.com/", "TESTKEY");
+
+		expect(client).to.include({
+			baseUrl: "https://acme.freshdesk.com",
+			domain: "acme.freshdesk.com",
+			apiRoot: "https://acme.freshdesk.com/api/v2",
+		});
+	});
 });
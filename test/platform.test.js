@@ -0,0 +1,76 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2017 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+"use strict";
+
+const platform = require("../lib/platform");
+
+describe("platform.test", function () {
+	describe("base64", () => {
+		const testCases = [
+			["", ""],
+			["TESTKEY:X", "VEVTVEtFWTpY"],
+			["agent:пароль", "YWdlbnQ60L/QsNGA0L7Qu9GM"],
+		];
+
+		testCases.forEach((tc) => {
+			it(`should encode [${tc[0]}]`, () => {
+				expect(platform.base64(tc[0])).equal(tc[1]);
+			});
+
+			it(`should encode [${tc[0]}] with btoa`, function () {
+				// `btoa` is global since Node 16
+				if (typeof btoa === "undefined") {
+					this.skip();
+				}
+
+				const descriptor = Object.getOwnPropertyDescriptor(
+					global,
+					"Buffer"
+				);
+				delete global.Buffer;
+
+				try {
+					expect(platform.base64(tc[0])).equal(tc[1]);
+				} finally {
+					Object.defineProperty(global, "Buffer", descriptor);
+				}
+			});
+		});
+	});
+
+	describe("createFormData", () => {
+		it("should create the native form", function () {
+			// `FormData` is global since Node 18
+			if (typeof FormData === "undefined") {
+				this.skip();
+			}
+
+			expect(platform.createFormData(true)).to.be.instanceof(FormData);
+		});
+
+		it("should create the form of the form-data package", () => {
+			const form = platform.createFormData(false);
+
+			if (typeof FormData !== "undefined") {
+				expect(form).not.to.be.instanceof(FormData);
+			}
+			expect(form.getHeaders()).to.have.property("content-type");
+		});
+	});
+});
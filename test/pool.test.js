@@ -0,0 +1,267 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2017 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+"use strict";
+
+const nock = require("nock");
+
+const Freshdesk = require("..");
+
+describe("pool.test", function () {
+	afterEach(() => {
+		nock.cleanAll();
+	});
+
+	it("should create clients lazily, once per domain", () => {
+		const loaded = [];
+		const pool = new Freshdesk.FreshdeskPool((domain) => {
+			loaded.push(domain);
+			return Promise.resolve({ apiKey: `key-of-${domain}` });
+		});
+
+		expect(pool.domains()).to.deep.equal([]);
+
+		return Promise.all([
+			pool.get("acme"),
+			pool.get("https://ACME.freshdesk.com/"),
+			pool.get("support.example.com"),
+		]).then((clients) => {
+			expect(clients[0]).to.be.instanceof(Freshdesk);
+			expect(clients[1]).equal(clients[0]);
+			expect(clients[0].baseUrl).equal("https://acme.freshdesk.com");
+			expect(clients[2].baseUrl).equal("https://support.example.com");
+
+			expect(loaded).to.deep.equal([
+				"acme.freshdesk.com",
+				"support.example.com",
+			]);
+			expect(pool.domains()).to.deep.equal(loaded);
+			expect(pool.has("acme.freshdesk.com")).to.be.true;
+		});
+	});
+
+	it("should keep the protocol, the port and the path of the URL", () => {
+		const pool = new Freshdesk.FreshdeskPool(() => "KEY");
+
+		return Promise.all([
+			pool.get("https://support.example.com/helpdesk"),
+			pool.get("http://localhost:8080"),
+		]).then((clients) => {
+			expect(clients[0].baseUrl).equal(
+				"https://support.example.com/helpdesk"
+			);
+			expect(clients[1].baseUrl).equal("http://localhost:8080");
+			expect(pool.domains()).to.deep.equal([
+				"support.example.com",
+				"localhost:8080",
+			]);
+		});
+	});
+
+	it("should use credentials and options of the tenant", () => {
+		const pool = new Freshdesk.FreshdeskPool(
+			() => ({
+				auth: { token: "abc" },
+				options: { rateLimitRetries: 0 },
+			}),
+			{ clientOptions: { rateLimitRetries: 2, timeout: 1000 } }
+		);
+
+		nock("https://acme.freshdesk.com", {
+			reqheaders: { Authorization: "Bearer abc" },
+		})
+			.get("/api/v2/tickets/1")
+			.reply(200, { id: 1 });
+
+		return pool.get("acme").then((client) => {
+			expect(client._options).to.include({
+				rateLimitRetries: 0,
+				timeout: 1000,
+			});
+
+			return client.getTicket(1);
+		});
+	});
+
+	it("should give every tenant its own throttling budget", () => {
+		const pool = new Freshdesk.FreshdeskPool(() => "KEY", {
+			clientOptions: { throttle: { requestsPerMinute: 60 } },
+		});
+
+		return Promise.all([pool.get("a"), pool.get("b")]).then((clients) => {
+			expect(clients[0]._throttler).to.be.an("object");
+			expect(clients[0]._throttler).not.equal(clients[1]._throttler);
+		});
+	});
+
+	it("should not cache failures of the provider", () => {
+		let calls = 0;
+		const pool = new Freshdesk.FreshdeskPool(() => {
+			calls++;
+			if (calls === 1) {
+				throw new Error("vault is sealed");
+			}
+			return "KEY";
+		});
+
+		return pool
+			.get("acme")
+			.then(
+				() => {
+					throw new Error("Promise should be rejected");
+				},
+				(err) => {
+					expect(err).has.property("message", "vault is sealed");
+					expect(pool.has("acme")).to.be.false;
+				}
+			)
+			.then(() => pool.get("acme"))
+			.then((client) => {
+				expect(client).to.be.instanceof(Freshdesk);
+				expect(calls).equal(2);
+			});
+	});
+
+	it("should keep the client, requested again after a removal", () => {
+		let calls = 0;
+		let rejectFirst = null;
+		const pool = new Freshdesk.FreshdeskPool(() => {
+			calls++;
+			if (calls === 1) {
+				return new Promise((resolve, reject) => {
+					rejectFirst = reject;
+				});
+			}
+			return "KEY";
+		});
+
+		const first = pool.get("acme");
+		pool.remove("acme");
+		const second = pool.get("acme");
+
+		return second
+			.then(() => {
+				rejectFirst(new Error("vault is sealed"));
+				return first.then(
+					() => {
+						throw new Error("Promise should be rejected");
+					},
+					(err) => {
+						expect(err).has.property("message", "vault is sealed");
+					}
+				);
+			})
+			.then(() => {
+				expect(pool.has("acme")).to.be.true;
+				return Promise.all([second, pool.get("acme")]);
+			})
+			.then((clients) => {
+				expect(clients[1]).equal(clients[0]);
+				expect(calls).equal(2);
+			});
+	});
+
+	it("should collect usage stats per tenant", () => {
+		const pool = new Freshdesk.FreshdeskPool(() => "KEY", {
+			clientOptions: { rateLimitRetries: 0 },
+		});
+
+		nock("https://acme.freshdesk.com")
+			.get("/api/v2/tickets/1")
+			.reply(200, { id: 1 }, { "X-RateLimit-Remaining": "99" })
+			.get("/api/v2/tickets/2")
+			.reply(429, {}, { "Retry-After": "1" });
+		nock("https://other.freshdesk.com").get("/api/v2/tickets/3").reply(404);
+
+		return Promise.all([pool.get("acme"), pool.get("other")])
+			.then((clients) =>
+				Promise.all([
+					clients[0].getTicket(1),
+					clients[0].getTicket(2).catch((err) => err),
+					clients[1].getTicket(3).catch((err) => err),
+				])
+			)
+			.then(() => {
+				const acme = pool.stats("acme");
+				expect(acme).to.include({
+					domain: "acme.freshdesk.com",
+					requests: 2,
+					errors: 1,
+					rateLimitErrors: 1,
+				});
+				expect(acme.lastRequestAt).to.be.instanceof(Date);
+				expect(acme.rateLimit).to.have.property("remaining");
+
+				expect(pool.stats("other")).to.include({
+					requests: 1,
+					errors: 1,
+					rateLimitErrors: 0,
+				});
+				expect(pool.stats()).to.have.length(2);
+				expect(pool.stats("unknown")).is.null;
+			});
+	});
+
+	it("should count invalid attachments as errors", () => {
+		const pool = new Freshdesk.FreshdeskPool(() => "KEY");
+
+		return pool
+			.get("acme")
+			.then((client) =>
+				client
+					.createTicket({ subject: "Test", attachments: [42] })
+					.catch((err) => err)
+			)
+			.then((err) => {
+				expect(err).to.be.instanceof(
+					Freshdesk.FreshdeskValidationError
+				);
+				expect(pool.stats("acme")).to.include({
+					requests: 1,
+					errors: 1,
+				});
+			});
+	});
+
+	it("should remove clients", () => {
+		const pool = new Freshdesk.FreshdeskPool(() => "KEY");
+
+		return pool.get("acme").then(() => {
+			expect(pool.remove("acme")).to.be.true;
+			expect(pool.remove("acme")).to.be.false;
+			expect(pool.has("acme")).to.be.false;
+
+			pool.clear();
+			expect(pool.stats()).to.deep.equal([]);
+		});
+	});
+
+	it("should reject invalid arguments", () => {
+		expect(() => new Freshdesk.FreshdeskPool()).to.throw(TypeError);
+
+		const pool = new Freshdesk.FreshdeskPool(() => "KEY");
+		return pool.get("").then(
+			() => {
+				throw new Error("Promise should be rejected");
+			},
+			(err) => {
+				expect(err).to.be.instanceof(TypeError);
+			}
+		);
+	});
+});
@@ -0,0 +1,169 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2017 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+"use strict";
+
+const nock = require("nock");
+
+const Freshdesk = require("..");
+const query = require("../lib/query");
+
+const q = Freshdesk.q;
+
+describe("query.test", function () {
+	describe("builder", () => {
+		const testCases = [
+			[q.field("status").eq(2), "status:2"],
+			[q.field("cf_region").eq("EU west"), "cf_region:'EU west'"],
+			[q.field("escalated").eq(false), "escalated:false"],
+			[q.field("group_id").isNull(), "group_id:null"],
+			[q.field("priority").gte(3), "priority:>3"],
+			[
+				q.field("created_at").lte(new Date("2020-01-31T23:00:00Z")),
+				"created_at:<'2020-01-31'",
+			],
+			[q.field("due_by").gte("2020-02-01"), "due_by:>'2020-02-01'"],
+			[
+				q.field("status").eq(2).and(q.field("priority").gte(3)),
+				"status:2 AND priority:>3",
+			],
+			[
+				q
+					.field("status")
+					.eq(2)
+					.and(
+						q.field("priority").eq(3).or(q.field("priority").eq(4))
+					),
+				"status:2 AND (priority:3 OR priority:4)",
+			],
+			[
+				q.and(
+					q.field("a").eq(1),
+					q.and(q.field("b").eq(2), q.field("c").eq(3))
+				),
+				"a:1 AND b:2 AND c:3",
+			],
+			[
+				q.field("tag").in(["x", "y"]).and(q.field("status").eq(2)),
+				"(tag:'x' OR tag:'y') AND status:2",
+			],
+			[q.or(q.field("status").eq(2)), "status:2"],
+		];
+
+		testCases.forEach((tc) => {
+			it(`should build [${tc[1]}]`, () => {
+				expect(String(tc[0])).equal(tc[1]);
+			});
+		});
+
+		const invalidCases = [
+			["field name", () => q.field("bad name")],
+			["quote in value", () => q.field("name").eq("O'Neil")],
+			["object value", () => q.field("name").eq({})],
+			["string bound", () => q.field("priority").gte("high")],
+			["raw string in group", () => q.field("a").eq(1).and("b:2")],
+			["empty in", () => q.field("a").in([])],
+		];
+
+		invalidCases.forEach((tc) => {
+			it(`should reject ${tc[0]}`, () => {
+				expect(tc[1]).to.throw(TypeError);
+			});
+		});
+	});
+
+	describe("buildSearchUrl", () => {
+		it("should encode the query", () => {
+			expect(
+				query.buildSearchUrl(
+					"https://x.com/api/v2/search/tickets",
+					q.field("cf_code").eq("a&b #1+2"),
+					2
+				)
+			).equal(
+				"https://x.com/api/v2/search/tickets?query=%22cf_code%3A'a%26b%20%231%2B2'%22&page=2"
+			);
+		});
+
+		it("should limit the length of the query", () => {
+			// `f:'...'` is 4 characters longer than the value
+			const max = "a".repeat(query.MAX_QUERY_LENGTH - 4);
+
+			expect(() =>
+				query.buildSearchUrl("https://x.com", q.field("f").eq(max))
+			).not.to.throw();
+			expect(() =>
+				query.buildSearchUrl(
+					"https://x.com",
+					q.field("f").eq(max + "a")
+				)
+			).to.throw(RangeError, /too long/);
+		});
+	});
+
+	describe("filter methods", () => {
+		const freshdesk = new Freshdesk(
+			"https://test.freshdesk.com",
+			"TESTKEY"
+		);
+
+		afterEach(() => {
+			nock.cleanAll();
+		});
+
+		["Tickets", "Contacts", "Companies"].forEach((kind) => {
+			it(`should send the query to filter${kind}`, () => {
+				nock("https://test.freshdesk.com")
+					.get(`/api/v2/search/${kind.toLowerCase()}`)
+					.query({
+						query: "\"cf_code:'a&b #1+2' AND status:2\"",
+						page: 1,
+					})
+					.reply(200, { total: 0, results: [] });
+
+				return freshdesk[`filter${kind}`](
+					q
+						.field("cf_code")
+						.eq("a&b #1+2")
+						.and(q.field("status").eq(2)),
+					1
+				).then((data) => {
+					expect(data).to.deep.equal({ total: 0, results: [] });
+				});
+			});
+		});
+
+		it("should reject too long query without a request", () => {
+			return freshdesk.filterTickets("a".repeat(600)).then(
+				() => {
+					throw new Error("Promise should be rejected");
+				},
+				(err) => {
+					expect(err).to.be.instanceof(RangeError);
+				}
+			);
+		});
+
+		it("should pass the error to the callback", (done) => {
+			freshdesk.filterContacts("a".repeat(600), (err) => {
+				expect(err).to.be.instanceof(RangeError);
+				done();
+			});
+		});
+	});
+});
@@ -0,0 +1,250 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2017 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+"use strict";
+
+const nock = require("nock");
+
+const Freshdesk = require("..");
+const schema = require("../lib/schema");
+
+const q = Freshdesk.q;
+
+const TICKET_FIELDS = [
+	{
+		name: "status",
+		type: "default_status",
+		default: true,
+		choices: { 2: ["Open", "Being Processed"], 5: ["Closed", "Closed"] },
+	},
+	{
+		name: "priority",
+		type: "default_priority",
+		default: true,
+		choices: { Low: 1, Medium: 2, High: 3, Urgent: 4 },
+	},
+	{
+		name: "ticket_type",
+		type: "default_ticket_type",
+		default: true,
+		choices: ["Question", "Incident"],
+	},
+	{
+		name: "cf_region",
+		type: "custom_dropdown",
+		default: false,
+		choices: ["EU", "US"],
+	},
+	{ name: "cf_seats", type: "custom_number", default: false },
+	{ name: "cf_vip", type: "custom_checkbox", default: false },
+	{ name: "cf_renewal", type: "custom_date", default: false },
+	{ name: "cf_notes", type: "custom_paragraph", default: false },
+];
+
+const CONTACT_FIELDS = [
+	{
+		name: "plan",
+		type: "custom_dropdown",
+		default: false,
+		choices: [
+			{ id: 1, value: "Free", position: 1 },
+			{ id: 2, value: "Pro", position: 2 },
+		],
+	},
+];
+
+describe("schema.test", function () {
+	describe("validateQuery", () => {
+		const fields = schema.buildSearchFields("tickets", TICKET_FIELDS);
+
+		const validCases = [
+			"status:2",
+			"priority:>3 AND priority:<4",
+			"type:'Incident'",
+			"cf_region:'EU' OR region:'US'",
+			"cf_seats:>10",
+			"cf_vip:true",
+			"cf_renewal:<'2020-01-31'",
+			"group_id:null",
+			"tag:'a:b' AND (status:2 OR status:5)",
+			q.field("created_at").gte(new Date("2020-01-01")),
+		];
+
+		validCases.forEach((query) => {
+			it(`should accept [${query}]`, () => {
+				expect(schema.validateQuery(query, fields)).to.deep.equal([]);
+			});
+		});
+
+		const invalidCases = [
+			["cf_regoin:'EU'", "cf_regoin", "invalid_field"],
+			["cf_notes:'x'", "cf_notes", "invalid_field"],
+			["status:3", "status", "invalid_value"],
+			["status:'2'", "status", "invalid_value"],
+			["cf_region:'Asia'", "cf_region", "invalid_value"],
+			["cf_region:EU", "cf_region", "invalid_value"],
+			["cf_vip:'yes'", "cf_vip", "invalid_value"],
+			["cf_renewal:'31.01.2020'", "cf_renewal", "invalid_value"],
+			["tag:>'a'", "tag", "invalid_value"],
+		];
+
+		invalidCases.forEach((tc) => {
+			it(`should reject [${tc[0]}]`, () => {
+				const errors = schema.validateQuery(tc[0], fields);
+
+				expect(errors).to.have.length(1);
+				expect(errors[0]).to.include({ field: tc[1], code: tc[2] });
+				expect(errors[0].message).to.be.a("string");
+			});
+		});
+
+		it("should accept choices of contact dropdowns", () => {
+			const contactFields = schema.buildSearchFields(
+				"contacts",
+				CONTACT_FIELDS
+			);
+
+			expect(
+				schema.validateQuery(
+					"plan:'Pro' AND active:true",
+					contactFields
+				)
+			).to.deep.equal([]);
+			expect(
+				schema.validateQuery("plan:'Gold'", contactFields)
+			).to.have.length(1);
+		});
+	});
+
+	describe("client", () => {
+		let freshdesk = null;
+
+		beforeEach(() => {
+			freshdesk = new Freshdesk("https://test.freshdesk.com", "TESTKEY", {
+				validateQueries: true,
+			});
+		});
+
+		afterEach(() => {
+			nock.cleanAll();
+		});
+
+		it("should validate the query before the request", () => {
+			const scope = nock("https://test.freshdesk.com")
+				.get("/api/v2/ticket_fields")
+				.reply(200, TICKET_FIELDS)
+				.get("/api/v2/search/tickets")
+				.query(true)
+				.reply(200, { total: 0, results: [] });
+
+			return freshdesk.filterTickets("status:2 AND cf_regoin:'EU'").then(
+				() => {
+					throw new Error("Promise should be rejected");
+				},
+				(err) => {
+					expect(err).to.be.instanceof(
+						Freshdesk.FreshdeskValidationError
+					);
+					expect(err).has.property(
+						"apiTarget",
+						"GET /api/v2/search/tickets"
+					);
+					expect(err.errors).to.deep.equal([
+						{
+							field: "cf_regoin",
+							message:
+								"Unknown field, or it is not supported by the search",
+							code: "invalid_field",
+						},
+					]);
+					expect(scope.pendingMocks()).to.have.length(1);
+				}
+			);
+		});
+
+		it("should send valid queries and cache the fields", (done) => {
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/contact_fields")
+				.once()
+				.reply(200, CONTACT_FIELDS)
+				.get("/api/v2/search/contacts")
+				.query({ query: "\"plan:'Pro'\"" })
+				.twice()
+				.reply(200, { total: 1, results: [{ id: 1 }] });
+
+			freshdesk
+				.filterContacts(q.field("plan").eq("Pro"))
+				.then((data) => {
+					expect(data.results).to.deep.equal([{ id: 1 }]);
+					expect(data.extra).to.have.property("pageIsLast", true);
+
+					freshdesk.filterContacts("plan:'Pro'", (err, data) => {
+						expect(err).is.null;
+						expect(data.results).to.deep.equal([{ id: 1 }]);
+						expect(nock.isDone()).to.be.true;
+						done();
+					});
+				})
+				.catch(done);
+		});
+
+		it("should load the fields again after a failure", () => {
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/company_fields")
+				.reply(500)
+				.get("/api/v2/company_fields")
+				.reply(200, []);
+
+			return freshdesk
+				.validateQuery("companies", "domain:'x.com'")
+				.then(
+					() => {
+						throw new Error("Promise should be rejected");
+					},
+					(err) => {
+						expect(err).to.be.instanceof(
+							Freshdesk.FreshdeskServerError
+						);
+					}
+				)
+				.then(() =>
+					freshdesk.validateQuery("companies", "domain:'x.com'")
+				);
+		});
+
+		it("should load the fields with the per-call options", () => {
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/ticket_fields")
+				.delay(200)
+				.reply(200, TICKET_FIELDS);
+
+			return freshdesk.filterTickets("status:2", { timeout: 20 }).then(
+				() => {
+					throw new Error("Promise should be rejected");
+				},
+				(err) => {
+					expect(err).to.be.instanceof(
+						Freshdesk.FreshdeskTimeoutError
+					);
+					expect(err).has.property("timeout", 20);
+					expect(err).has.property("path", "/api/v2/ticket_fields");
+				}
+			);
+		});
+	});
+});
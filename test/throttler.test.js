@@ -0,0 +1,131 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2017 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+"use strict";
+
+const nock = require("nock");
+
+const Freshdesk = require("..");
+const throttler = require("../lib/throttler");
+
+describe("throttler.test", function () {
+	describe("TokenBucket", () => {
+		it("should allow burst without delay", () => {
+			const bucket = new throttler.TokenBucket(60, 2);
+
+			expect(bucket.waitTime()).equal(0);
+			bucket.take();
+			expect(bucket.waitTime()).equal(0);
+			bucket.take();
+			expect(bucket.waitTime()).to.be.above(900);
+		});
+
+		it("should be limited by remaining quota", () => {
+			const bucket = new throttler.TokenBucket(60, 10);
+
+			bucket.limit(0);
+			expect(bucket.waitTime()).to.be.above(900);
+		});
+
+		it("should reject invalid rate", () => {
+			expect(() => new throttler.TokenBucket(0)).to.throw(TypeError);
+		});
+	});
+
+	describe("Throttler", () => {
+		it("should delay requests over the burst", () => {
+			const th = new throttler.Throttler({
+				requestsPerMinute: 1200,
+				burst: 1,
+			});
+			const started = Date.now();
+
+			return Promise.all([
+				th.schedule(
+					"GET",
+					"https://test.freshdesk.com/api/v2/tickets/1"
+				),
+				th.schedule(
+					"GET",
+					"https://test.freshdesk.com/api/v2/tickets/2"
+				),
+				th.schedule(
+					"GET",
+					"https://test.freshdesk.com/api/v2/tickets/3"
+				),
+			]).then(() => {
+				expect(Date.now() - started).to.be.at.least(90);
+			});
+		});
+
+		it("should use separate budget for the tickets list", () => {
+			const th = new throttler.Throttler({
+				requestsPerMinute: 6000,
+				ticketsList: { requestsPerMinute: 1200, burst: 1 },
+			});
+			const order = [];
+
+			const list = (n) =>
+				th
+					.schedule(
+						"GET",
+						"https://test.freshdesk.com/api/v2/tickets"
+					)
+					.then(() => order.push(`list${n}`));
+			const view = () =>
+				th
+					.schedule(
+						"GET",
+						"https://test.freshdesk.com/api/v2/tickets/1"
+					)
+					.then(() => order.push("view"));
+
+			return Promise.all([list(1), list(2), view()]).then(() => {
+				expect(order).to.deep.equal(["list1", "view", "list2"]);
+				expect(th.buckets.ticketsList.tokens).to.be.below(1);
+			});
+		});
+	});
+
+	describe("client option", () => {
+		afterEach(() => {
+			nock.cleanAll();
+		});
+
+		it("should throttle API calls", () => {
+			const freshdesk = new Freshdesk(
+				"https://test.freshdesk.com",
+				"TESTKEY",
+				{ throttle: { requestsPerMinute: 1200, burst: 1 } }
+			);
+			const started = Date.now();
+
+			nock("https://test.freshdesk.com")
+				.get("/api/v2/tickets/1")
+				.times(2)
+				.reply(200, { id: 1 });
+
+			return Promise.all([
+				freshdesk.getTicket(1),
+				freshdesk.getTicket(1),
+			]).then(() => {
+				expect(Date.now() - started).to.be.at.least(45);
+			});
+		});
+	});
+});
@@ -0,0 +1,262 @@
+/*
+Node wrapper for Freshdesk v2 API
+
+Copyright (C) 2016-2017 Maksim Koryukov <maxkoryukov@gmail.com>
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the MIT License, attached to this software package.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+
+You should have received a copy of the MIT License along with this
+program. If not, see <https://opensource.org/licenses/MIT>.
+
+http://spdx.org/licenses/MIT
+*/
+
+"use strict";
+
+const axios = require("axios");
+const nock = require("nock");
+
+const Freshdesk = require("..");
+const transport = require("../lib/transport");
+
+// In-memory fetch-compatible function, which records requests
+function createFakeFetch(status, body, headers) {
+	const fakeFetch = (url, init) => {
+		fakeFetch.calls.push({ url, init });
+
+		return Promise.resolve({
+			status: status,
+			headers: new Map(Object.entries(headers || {})),
+			text: () =>
+				Promise.resolve(body === undefined ? "" : JSON.stringify(body)),
+		});
+	};
+	fakeFetch.calls = [];
+
+	return fakeFetch;
+}
+
+describe("transport.test", function () {
+	describe("buildUrl", () => {
+		const testCases = [
+			["https://x.com/a", undefined, "https://x.com/a"],
+			["https://x.com/a", {}, "https://x.com/a"],
+			["https://x.com/a", { page: 2, q: null }, "https://x.com/a?page=2"],
+			[
+				"https://x.com/a?x=1",
+				{ y: "a b" },
+				"https://x.com/a?x=1&y=a%20b",
+			],
+			[
+				"https://x.com/a",
+				{ ids: [1, 2] },
+				"https://x.com/a?ids%5B%5D=1&ids%5B%5D=2",
+			],
+			[
+				"https://x.com/a",
+				{ since: new Date("2020-01-01T00:00:00Z") },
+				"https://x.com/a?since=2020-01-01T00%3A00%3A00.000Z",
+			],
+		];
+
+		testCases.forEach((tc) => {
+			it(`should build [${tc[2]}]`, () => {
+				expect(transport.buildUrl(tc[0], tc[1])).equal(tc[2]);
+			});
+		});
+	});
+
+	describe("fetch transport", () => {
+		it("should send request through the fetch function", () => {
+			const fakeFetch = createFakeFetch(200, [{ id: 1 }], {
+				"X-Request-Id": "req-1",
+			});
+			const freshdesk = new Freshdesk(
+				"https://test.freshdesk.com",
+				"TESTKEY",
+				{ transport: fakeFetch }
+			);
+
+			return freshdesk.listAllTickets({ page: 2 }).then((data) => {
+				expect(data).to.deep.equal([{ id: 1 }]);
+				expect(data.extra).has.property("requestId", "req-1");
+
+				expect(fakeFetch.calls).to.have.length(1);
+				const call = fakeFetch.calls[0];
+				expect(call.url).equal(
+					"https://test.freshdesk.com/api/v2/tickets?page=2"
+				);
+				expect(call.init.method).equal("GET");
+				expect(call.init.headers).has.property(
+					"Authorization",
+					freshdesk._auth
+				);
+			});
+		});
+
+		it("should send JSON body", () => {
+			const fakeFetch = createFakeFetch(201, { id: 2 });
+			const freshdesk = new Freshdesk(
+				"https://test.freshdesk.com",
+				"TESTKEY",
+				{ transport: fakeFetch }
+			);
+
+			return freshdesk.createTicket({ subject: "Test" }).then((data) => {
+				expect(data).to.deep.equal({ id: 2 });
+				expect(fakeFetch.calls[0].init.body).equal(
+					JSON.stringify({ subject: "Test" })
+				);
+			});
+		});
+
+		it("should send attachments with the native FormData", function () {
+			// `FormData` and `Blob` are global since Node 18
+			if (
+				typeof FormData === "undefined" ||
+				typeof Blob === "undefined"
+			) {
+				this.skip();
+			}
+
+			const fakeFetch = createFakeFetch(201, { id: 3 });
+			const freshdesk = new Freshdesk(
+				"https://test.freshdesk.com",
+				"TESTKEY",
+				{ transport: fakeFetch }
+			);
+
+			return freshdesk
+				.createTicket({
+					subject: "Test",
+					attachments: [new Blob(["hello"], { type: "text/plain" })],
+				})
+				.then(() => {
+					const init = fakeFetch.calls[0].init;
+
+					expect(init.body).to.be.instanceof(FormData);
+					expect(init.body.get("subject")).equal("Test");
+					expect(init.body.getAll("attachments[]")).to.have.length(1);
+					expect(init.headers).not.to.have.property("Content-Type");
+				});
+		});
+
+		it("should not retry requests with attachments", function () {
+			// `FormData` and `Blob` are global since Node 18
+			if (
+				typeof FormData === "undefined" ||
+				typeof Blob === "undefined"
+			) {
+				this.skip();
+			}
+
+			const fakeFetch = createFakeFetch(429, {}, { "retry-after": "0" });
+			const freshdesk = new Freshdesk(
+				"https://test.freshdesk.com",
+				"TESTKEY",
+				{ transport: fakeFetch, rateLimitRetries: 2 }
+			);
+
+			return freshdesk
+				.createTicket({
+					subject: "Test",
+					attachments: [new Blob(["hello"], { type: "text/plain" })],
+				})
+				.then(
+					() => {
+						throw new Error("Promise should be rejected");
+					},
+					(err) => {
+						expect(err).to.be.instanceof(
+							Freshdesk.FreshdeskRateLimitError
+						);
+						expect(err).has.property("retries", 0);
+						expect(fakeFetch.calls).to.have.length(1);
+					}
+				);
+		});
+
+		it("should pass FreshdeskError on HTTP error", () => {
+			const fakeFetch = createFakeFetch(404);
+			const freshdesk = new Freshdesk(
+				"https://test.freshdesk.com",
+				"TESTKEY",
+				{ transport: fakeFetch }
+			);
+
+			return freshdesk.getTicket(1).then(
+				() => {
+					throw new Error("Promise should be rejected");
+				},
+				(err) => {
+					expect(err).to.be.instanceof(
+						Freshdesk.FreshdeskNotFoundError
+					);
+					expect(err).has.property(
+						"apiTarget",
+						"GET /api/v2/tickets/1"
+					);
+				}
+			);
+		});
+
+		it("should pass FreshdeskNetworkError when fetch fails", () => {
+			const freshdesk = new Freshdesk(
+				"https://test.freshdesk.com",
+				"TESTKEY",
+				{ transport: () => Promise.reject(new TypeError("failed")) }
+			);
+
+			return freshdesk.getTicket(1).then(
+				() => {
+					throw new Error("Promise should be rejected");
+				},
+				(err) => {
+					expect(err).to.be.instanceof(
+						Freshdesk.FreshdeskNetworkError
+					);
+					expect(err).has.property("message", "failed");
+				}
+			);
+		});
+	});
+
+	describe("axios transport", () => {
+		afterEach(() => {
+			nock.cleanAll();
+		});
+
+		it("should use the custom axios instance", () => {
+			const instance = axios.create({ headers: { "X-Custom": "yes" } });
+			const freshdesk = new Freshdesk(
+				"https://test.freshdesk.com",
+				"TESTKEY",
+				{ transport: instance }
+			);
+
+			nock("https://test.freshdesk.com", {
+				reqheaders: { "X-Custom": "yes" },
+			})
+				.get("/api/v2/tickets/1")
+				.reply(200, { id: 1 });
+
+			return freshdesk.getTicket(1).then((data) => {
+				expect(data).to.deep.equal({ id: 1 });
+			});
+		});
+	});
+
+	it("should reject invalid transport option", () => {
+		expect(
+			() =>
+				new Freshdesk("https://test.freshdesk.com", "TESTKEY", {
+					transport: "fetch",
+				})
+		).to.throw(TypeError);
+	});
+});